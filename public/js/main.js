@@ -1,11 +1,23 @@
 import { APIClient } from './modules/api.js';
-import { UIManager } from './modules/ui-manager.js';
+import { UIManager, escapeHtml } from './modules/ui-manager.js';
 import { AccountManager } from './modules/account-manager.js';
 import { GuardCodeDisplay } from './modules/guard-code.js';
 import { ConfirmationsPanel } from './modules/confirmations.js';
 import { SecurityPanel } from './modules/security.js';
 import { SetupPanel } from './modules/setup.js';
 import { ImportPanel } from './modules/import.js';
+import { VaultLockScreen } from './modules/vault-lock.js';
+import { VaultSettingsPanel } from './modules/vault-settings.js';
+import { TrashPanel } from './modules/trash.js';
+import { ExportPanel } from './modules/export.js';
+import { AuthScreen, AdminPasswordPanel } from './modules/auth.js';
+import { ApiTokensPanel } from './modules/api-tokens.js';
+import { TimeStatusPanel } from './modules/time-status.js';
+import { OtpEntriesPanel } from './modules/otp-entries.js';
+import { AutoConfirmPanel } from './modules/auto-confirm.js';
+import { PolicyPanel } from './modules/policy.js';
+import { CodeDashboard } from './modules/code-dashboard.js';
+import { LiveEvents } from './modules/live-events.js';
 
 class SteamGuardApp {
   constructor() {
@@ -16,28 +28,143 @@ class SteamGuardApp {
 
     this.accountManager = new AccountManager(this.ui);
     this.guardCodeDisplay = null;
+    this.codeDashboard = null;
+    this.liveEvents = new LiveEvents();
     this.confirmationsPanel = null;
     this.securityPanel = null;
+    this.trashPanel = null;
+    this.exportPanel = null;
+    this.tokensPanel = null;
+    this.otpPanel = null;
+    this.autoConfirmPanel = null;
+    this.policyPanel = null;
+    this.otpEntries = [];
+    this.vaultStatus = null;
+    this.config = null;
+    this.vaultLocked = false;
+    this.authRequired = false;
   }
 
   async init() {
+    window.addEventListener('auth-required', () => this.showAuthScreen());
+    window.addEventListener('vault-locked', () => this.showVaultLock());
+    this.liveEvents.on('confirmations', event => this.onNewConfirmations(event));
+    this.liveEvents.on('session-expired', event => this.onSessionExpired(event));
+    this.liveEvents.on('auto-confirm', event => this.autoConfirmPanel?.onEvent(event));
+
+    let authStatus = null;
+    try {
+      authStatus = await APIClient.getAuthStatus();
+    } catch (error) {
+      this.ui.showError('Failed to load auth status: ' + error.message);
+      return;
+    }
+
+    if (!authStatus.authenticated) {
+      this.showAuthScreen(authStatus);
+      return;
+    }
+    APIClient.csrfToken = authStatus.csrfToken;
+    await this.start();
+  }
+
+  async start() {
+    try {
+      this.config = await APIClient.getConfig();
+      this.vaultStatus = await APIClient.getVaultStatus();
+    } catch (error) {
+      this.ui.showError('Failed to load vault status: ' + error.message);
+    }
+
+    if (this.vaultStatus?.locked) {
+      this.showVaultLock();
+      return;
+    }
+
     this.renderLayout();
     await this.loadAccounts();
   }
 
+  async showAuthScreen(status = null) {
+    if (this.authRequired) return;
+    this.authRequired = true;
+    this.vaultLocked = false;
+    this.guardCodeDisplay?.stop();
+    this.codeDashboard?.stop();
+    this.liveEvents.close();
+    this.selectedAccount = null;
+    APIClient.csrfToken = null;
+
+    const authStatus = status || await APIClient.getAuthStatus().catch(() => ({ configured: true }));
+    new AuthScreen(this.ui).render(document.getElementById('appRoot'), authStatus, async () => {
+      this.authRequired = false;
+      await this.start();
+    });
+  }
+
+  async logout() {
+    try {
+      await APIClient.logout();
+    } catch (error) {
+      console.error('[Auth] Logout failed:', error);
+    }
+    this.showAuthScreen();
+  }
+
+  showVaultLock() {
+    if (this.vaultLocked || this.authRequired) return;
+    this.vaultLocked = true;
+    this.guardCodeDisplay?.stop();
+    this.codeDashboard?.stop();
+    this.liveEvents.close();
+    this.selectedAccount = null;
+
+    new VaultLockScreen(this.ui).render(document.getElementById('appRoot'), async () => {
+      this.vaultLocked = false;
+      this.vaultStatus = await APIClient.getVaultStatus();
+      this.renderLayout();
+      await this.loadAccounts();
+    });
+  }
+
+  async lockVault() {
+    try {
+      await APIClient.lockVault();
+      this.showVaultLock();
+    } catch (error) {
+      this.ui.showError('Failed to lock vault: ' + error.message);
+    }
+  }
+
   renderLayout() {
     const root = document.getElementById('appRoot');
+    const lockButton = this.vaultStatus?.encrypted
+      ? '<button id="vaultLockBtn" class="secondary" style="margin-top: 10px;">🔒 Lock Vault</button>'
+      : '';
+    const logoutButton = '<button id="logoutBtn" class="secondary" style="margin-top: 10px;">🚪 Sign Out</button>';
     root.innerHTML = `
       <div class="app-layout">
         <div class="layout-header">
           <h1>🔐 Steam Guard</h1>
           <div class="subtitle">Authenticator Manager</div>
+          ${lockButton}
+          ${logoutButton}
         </div>
 
         <div class="main-content">
+          <div id="codesPanel"></div>
           <div id="setupPanel"></div>
           <div id="importPanel"></div>
           <div id="accountsPanel"></div>
+          <div id="otpPanel"></div>
+          <div id="autoConfirmPanel"></div>
+          <div id="policyPanel"></div>
+          <div id="trashPanel"></div>
+          <div id="exportPanel"></div>
+          <div id="vaultPanel"></div>
+          <div id="tokensPanel"></div>
+          <div id="timePanel"></div>
+          <div id="adminPanel"></div>
         </div>
 
         <div class="side-content">
@@ -48,9 +175,24 @@ class SteamGuardApp {
       </div>
     `;
 
+    document.getElementById('vaultLockBtn')?.addEventListener('click', () => this.lockVault());
+    document.getElementById('logoutBtn').addEventListener('click', () => this.logout());
+
     new SetupPanel().render(document.getElementById('setupPanel'));
     new ImportPanel(this).render(document.getElementById('importPanel'));
-    this.guardCodeDisplay = new GuardCodeDisplay();
+    new VaultSettingsPanel(this).render(document.getElementById('vaultPanel'));
+    new AdminPasswordPanel(this).render(document.getElementById('adminPanel'));
+    new TimeStatusPanel(this).render(document.getElementById('timePanel'));
+    this.trashPanel = new TrashPanel(this);
+    this.exportPanel = new ExportPanel(this);
+    this.tokensPanel = new ApiTokensPanel(this);
+    this.otpPanel = new OtpEntriesPanel(this);
+    this.autoConfirmPanel = new AutoConfirmPanel(this);
+    this.policyPanel = new PolicyPanel(this);
+    const pollIntervalMs = this.config?.settings.codePollIntervalMs.value;
+    this.guardCodeDisplay = new GuardCodeDisplay(pollIntervalMs, this.liveEvents);
+    this.codeDashboard = new CodeDashboard(this, pollIntervalMs, this.liveEvents);
+    this.liveEvents.connect();
     this.confirmationsPanel = new ConfirmationsPanel(this.ui);
     this.securityPanel = new SecurityPanel(this.ui);
   }
@@ -59,6 +201,14 @@ class SteamGuardApp {
     try {
       this.accounts = await this.accountManager.loadAccounts();
       this.renderAccountsPanel();
+      await this.otpPanel?.render(document.getElementById('otpPanel'));
+      await this.autoConfirmPanel?.render(document.getElementById('autoConfirmPanel'));
+      await this.policyPanel?.render(document.getElementById('policyPanel'));
+      this.codeDashboard?.render(document.getElementById('codesPanel'));
+      if (this.codeDashboard && !this.codeDashboard.isRunning()) this.codeDashboard.start();
+      this.exportPanel?.render(document.getElementById('exportPanel'));
+      await this.trashPanel?.render(document.getElementById('trashPanel'));
+      await this.tokensPanel?.render(document.getElementById('tokensPanel'));
     } catch (error) {
       this.ui.showError('Failed to load accounts: ' + error.message);
     }
@@ -89,15 +239,45 @@ class SteamGuardApp {
     }
 
     this.accounts.forEach(acc => {
+      const item = document.createElement('div');
+      item.className = 'account-item';
+
       const btn = document.createElement('button');
       btn.className = 'account-btn';
       btn.dataset.accountId = acc.id;
+      const flags = [];
+      if (acc.groups?.length) flags.push(`🏷️ ${acc.groups.map(escapeHtml).join(', ')}`);
+      if (acc.session?.status !== 'valid') flags.push('🔑 login needed');
+      if (acc.capabilities && !acc.capabilities.confirmations) flags.push('codes only');
       btn.innerHTML = `
-        <div class="account-name">${acc.account_name}</div>
-        <div class="account-id">${acc.steamid}</div>
+        <div class="account-name">${escapeHtml(acc.account_name)}</div>
+        <div class="account-id">${escapeHtml(acc.steamid)}</div>
+        ${flags.length ? `<div class="account-flags">${flags.join(' · ')}</div>` : ''}
       `;
       btn.addEventListener('click', () => this.selectAccount(acc));
-      list.appendChild(btn);
+
+      const removeBtn = document.createElement('button');
+      removeBtn.className = 'account-remove-btn';
+      removeBtn.title = 'Remove account';
+      removeBtn.textContent = '✕';
+      removeBtn.addEventListener('click', e => {
+        e.stopPropagation();
+        this.removeAccount(acc);
+      });
+
+      const groupsBtn = document.createElement('button');
+      groupsBtn.className = 'account-groups-btn';
+      groupsBtn.title = 'Edit groups';
+      groupsBtn.textContent = '🏷️';
+      groupsBtn.addEventListener('click', e => {
+        e.stopPropagation();
+        this.editAccountGroups(acc);
+      });
+
+      item.appendChild(btn);
+      item.appendChild(groupsBtn);
+      item.appendChild(removeBtn);
+      list.appendChild(item);
     });
 
     const header = container.querySelector('.panel-header');
@@ -108,6 +288,54 @@ class SteamGuardApp {
     });
   }
 
+  onNewConfirmations(event) {
+    // The open account's panel already shows what it just fetched.
+    if (this.selectedAccount?.steamid === event.steamid) return;
+    const count = event.new.length;
+    this.ui.showInfo(`${event.account_name || event.steamid}: ${count} new confirmation${count !== 1 ? 's' : ''}`, 5000);
+  }
+
+  onSessionExpired(event) {
+    const account = this.accounts.find(a => a.steamid === event.steamid);
+    this.ui.showWarning(`${account?.account_name || event.steamid}: Steam session expired, login needed`);
+  }
+
+  async editAccountGroups(account) {
+    const value = prompt(
+      `Groups for ${account.account_name} (comma separated, used to scope API tokens):`,
+      (account.groups || []).join(', ')
+    );
+    if (value === null) return;
+
+    try {
+      await APIClient.setAccountGroups(account.id, value);
+      await this.loadAccounts();
+    } catch (error) {
+      this.ui.showError('Failed to update groups: ' + (error.data?.error || error.message));
+    }
+  }
+
+  async removeAccount(account) {
+    const confirmed = confirm(
+      `Remove ${account.account_name} (${account.steamid}) from the vault?\n\n` +
+      'The maFile is moved to the trash and can be restored until it is purged.'
+    );
+    if (!confirmed) return;
+
+    try {
+      await this.accountManager.removeAccount(account.id);
+      if (this.selectedAccount?.id === account.id) {
+        this.guardCodeDisplay?.stop();
+        this.selectedAccount = null;
+        this.clearSideContent();
+      }
+      this.ui.showSuccess(`Removed: ${account.account_name}`);
+      await this.loadAccounts();
+    } catch (error) {
+      this.ui.showError('Failed to remove account: ' + error.message);
+    }
+  }
+
   async selectAccount(account) {
     if (this.isLoadingAccount) return;
     this.isLoadingAccount = true;
@@ -324,14 +552,14 @@ class SteamGuardApp {
     }
   }
 
-  async importAccount(maFileContent) {
-    try {
-      await this.accountManager.importAccount(maFileContent);
-      await this.loadAccounts();
-      this.ui.showSuccess('Account imported successfully!');
-    } catch (error) {
-      this.ui.showError('Import failed: ' + error.message);
+  async importFiles(files, passkey = null, sdaPasskey = null, steamid = null) {
+    if (passkey) {
+      await APIClient.unlockVault(passkey);
     }
+    const result = await this.accountManager.importFiles(files, sdaPasskey, steamid);
+    this.vaultStatus = await APIClient.getVaultStatus();
+    await this.loadAccounts();
+    return result;
   }
 }
 
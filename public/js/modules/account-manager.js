@@ -16,6 +16,22 @@ export class AccountManager {
     }
   }
 
+  async removeAccount(accountId) {
+    try {
+      return await APIClient.removeAccount(accountId);
+    } catch (error) {
+      throw new Error(error.data?.error || error.message);
+    }
+  }
+
+  async importFiles(files, sdaPasskey = null, steamid = null) {
+    try {
+      return await APIClient.importFiles(files, sdaPasskey, steamid);
+    } catch (error) {
+      throw new Error(error.data?.error || error.message);
+    }
+  }
+
   async importAccount(maFileContent) {
     try {
       const result = await APIClient.importAccount(maFileContent);
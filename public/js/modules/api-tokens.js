@@ -0,0 +1,157 @@
+import { APIClient } from './api.js';
+import { escapeHtml } from './ui-manager.js';
+
+const EXPIRY_OPTIONS = [
+  { value: 0, label: 'Never expires' },
+  { value: 7, label: '7 days' },
+  { value: 30, label: '30 days' },
+  { value: 90, label: '90 days' },
+  { value: 365, label: '1 year' }
+];
+
+export class ApiTokensPanel {
+  constructor(app) {
+    this.app = app;
+    this.expanded = false;
+  }
+
+  async render(container) {
+    if (!container) return;
+    this.container = container;
+
+    let data;
+    try {
+      data = await APIClient.getTokens();
+    } catch (error) {
+      console.error('[Tokens] Failed to load:', error);
+      container.innerHTML = '';
+      return;
+    }
+
+    const accounts = this.app.accounts || [];
+    const inputStyle = 'width: 100%; padding: 8px; border: 1px solid var(--border-primary); border-radius: 4px; background: var(--bg-tertiary); color: var(--text-primary); margin-bottom: 8px;';
+
+    container.innerHTML = `
+      <div class="collapsible-panel ${this.expanded ? 'expanded' : 'collapsed'}">
+        <div class="panel-header">
+          <div class="panel-header-title">
+            <span>🤖</span>
+            <span>API Tokens (${data.tokens.length})</span>
+          </div>
+          <div class="panel-toggle">▼</div>
+        </div>
+        <div class="panel-content">
+          <div class="token-list">
+            ${data.tokens.map(token => this.renderToken(token)).join('') ||
+              '<div style="color: var(--text-secondary); font-size: 0.85rem;">No tokens yet</div>'}
+          </div>
+
+          <input type="text" id="tokenName" placeholder="Token name (e.g. trade bot)" style="${inputStyle}" />
+          <div class="token-scopes">
+            ${data.scopes.map(scope => `
+              <label><input type="checkbox" class="token-scope" value="${scope}" /> ${scope}</label>
+            `).join('')}
+          </div>
+          <select id="tokenAccounts" multiple size="${Math.min(Math.max(accounts.length, 2), 5)}" style="${inputStyle}" title="No selection means all accounts">
+            ${accounts.map(a => `<option value="${escapeHtml(a.steamid)}">${escapeHtml(a.account_name || a.steamid)}</option>`).join('')}
+          </select>
+          <input type="text" id="tokenGroups" placeholder="Account groups (comma separated, optional)" style="${inputStyle}" />
+          <select id="tokenExpiry" style="${inputStyle}">
+            ${EXPIRY_OPTIONS.map(o => `<option value="${o.value}">${o.label}</option>`).join('')}
+          </select>
+          <button id="tokenCreateBtn" style="width: 100%;">Create Token</button>
+          <div id="tokenStatus" style="margin-top: 10px;"></div>
+        </div>
+      </div>
+    `;
+
+    const header = container.querySelector('.panel-header');
+    const panel = container.querySelector('.collapsible-panel');
+    header.addEventListener('click', () => {
+      panel.classList.toggle('collapsed');
+      panel.classList.toggle('expanded');
+      this.expanded = panel.classList.contains('expanded');
+    });
+
+    container.querySelectorAll('.token-revoke-btn').forEach(btn => {
+      btn.addEventListener('click', () => this.revoke(btn.dataset.tokenId, btn.dataset.tokenName));
+    });
+    document.getElementById('tokenCreateBtn').addEventListener('click', () => this.create());
+  }
+
+  renderToken(token) {
+    const accountNames = token.accounts.map(id => {
+      const account = (this.app.accounts || []).find(a => a.steamid === id);
+      return account ? account.account_name : id;
+    });
+    const targets = [...accountNames, ...token.groups.map(g => `🏷️ ${g}`)].map(escapeHtml);
+    const expired = token.expiresAt && new Date(token.expiresAt) <= new Date();
+    return `
+      <div class="mini-account-card">
+        <div class="mini-account-card-row">
+          <span class="mini-account-card-label">${escapeHtml(token.name)}</span>
+          <button class="secondary token-revoke-btn" data-token-id="${escapeHtml(token.id)}" data-token-name="${escapeHtml(token.name)}">Revoke</button>
+        </div>
+        <div class="mini-account-card-row">
+          <span class="mini-account-card-label">${token.scopes.join(', ')}</span>
+          <span class="mini-account-card-value">${targets.length ? targets.join(', ') : 'All accounts'}</span>
+        </div>
+        <div class="mini-account-card-row">
+          <span class="mini-account-card-label">
+            ${token.expiresAt ? `${expired ? 'Expired' : 'Expires'} ${new Date(token.expiresAt).toLocaleDateString()}` : 'No expiry'}
+          </span>
+          <span class="mini-account-card-value">
+            ${token.lastUsedAt ? `${token.useCount} uses, last ${new Date(token.lastUsedAt).toLocaleString()}` : 'Never used'}
+          </span>
+        </div>
+      </div>
+    `;
+  }
+
+  async create() {
+    const statusDiv = document.getElementById('tokenStatus');
+    const name = document.getElementById('tokenName').value.trim();
+    const scopes = [...this.container.querySelectorAll('.token-scope:checked')].map(el => el.value);
+    const accounts = [...document.getElementById('tokenAccounts').selectedOptions].map(o => o.value);
+    const groups = document.getElementById('tokenGroups').value;
+    const expiresInDays = Number(document.getElementById('tokenExpiry').value);
+
+    if (!name) {
+      statusDiv.innerHTML = '<div class="status-message status-error">Token name required</div>';
+      return;
+    }
+    if (scopes.length === 0) {
+      statusDiv.innerHTML = '<div class="status-message status-error">Select at least one scope</div>';
+      return;
+    }
+
+    try {
+      const result = await APIClient.createToken({ name, scopes, accounts, groups, expiresInDays });
+      this.expanded = true;
+      await this.render(this.container);
+      document.getElementById('tokenStatus').innerHTML = `
+        <div class="status-message status-success">✓ Token created. Copy it now, it is not shown again:</div>
+        <div class="token-secret">${result.token}</div>
+        <button id="tokenCopyBtn" class="secondary">📋 Copy Token</button>
+      `;
+      document.getElementById('tokenCopyBtn').addEventListener('click', () => {
+        navigator.clipboard.writeText(result.token);
+        this.app.ui.showSuccess('Token copied');
+      });
+    } catch (error) {
+      statusDiv.innerHTML = `<div class="status-message status-error">❌ ${escapeHtml(error.message)}</div>`;
+    }
+  }
+
+  async revoke(tokenId, tokenName) {
+    if (!confirm(`Revoke the API token "${tokenName}"? Scripts using it stop working immediately.`)) return;
+
+    try {
+      await APIClient.revokeToken(tokenId);
+      this.app.ui.showSuccess('Token revoked');
+      await this.render(this.container);
+    } catch (error) {
+      this.app.ui.showError('Revoke failed: ' + (error.data?.error || error.message));
+    }
+  }
+}
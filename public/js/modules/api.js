@@ -1,16 +1,19 @@
 const API_BASE = '';
 
 export class APIClient {
+  static csrfToken = null;
+
   static async request(endpoint, options = {}) {
     const url = `${API_BASE}${endpoint}`;
 
     try {
       const response = await fetch(url, {
+        ...options,
         headers: {
           'Content-Type': 'application/json',
+          ...(this.csrfToken ? { 'X-CSRF-Token': this.csrfToken } : {}),
           ...(options.headers || {})
-        },
-        ...options
+        }
       });
 
       let data;
@@ -20,6 +23,14 @@ export class APIClient {
         data = { error: `HTTP ${response.status}` };
       }
 
+      if (response.status === 401 && data.error === 'AUTH_REQUIRED') {
+        window.dispatchEvent(new CustomEvent('auth-required'));
+      }
+
+      if (response.status === 423 && data.error === 'VAULT_LOCKED') {
+        window.dispatchEvent(new CustomEvent('vault-locked'));
+      }
+
       if (!response.ok) {
         const error = new Error(data.error || `HTTP ${response.status}`);
         error.status = response.status;
@@ -47,6 +58,44 @@ export class APIClient {
     });
   }
 
+  static getAuthStatus() {
+    return this.get('/api/auth/status');
+  }
+
+  static async setupAuth(password) {
+    const result = await this.post('/api/auth/setup', { password });
+    this.csrfToken = result.csrfToken;
+    return result;
+  }
+
+  static async login(password) {
+    const result = await this.post('/api/auth/login', { password });
+    this.csrfToken = result.csrfToken;
+    return result;
+  }
+
+  static async logout() {
+    const result = await this.post('/api/auth/logout', {});
+    this.csrfToken = null;
+    return result;
+  }
+
+  static changeAdminPassword(currentPassword, newPassword) {
+    return this.post('/api/auth/password', { currentPassword, newPassword });
+  }
+
+  static getConfig() {
+    return this.get('/api/config');
+  }
+
+  static getTimeStatus() {
+    return this.get('/api/time');
+  }
+
+  static syncTime() {
+    return this.post('/api/time/sync', {});
+  }
+
   static getAccounts() {
     return this.get('/api/accounts');
   }
@@ -55,8 +104,126 @@ export class APIClient {
     return this.post('/api/accounts', { maFileContent });
   }
 
+  static importFiles(files, sdaPasskey = null, steamid = null) {
+    return this.post('/api/accounts/import', { files, sdaPasskey, steamid });
+  }
+
+  static exportAccounts(format, options = {}) {
+    return this.post('/api/export', { format, ...options });
+  }
+
+  static setAccountGroups(accountId, groups) {
+    return this.request(`/api/accounts/${accountId}/groups`, {
+      method: 'PUT',
+      body: JSON.stringify({ groups })
+    });
+  }
+
+  static setAutoConfirm(accountId, flags) {
+    return this.request(`/api/accounts/${accountId}/auto-confirm`, {
+      method: 'PATCH',
+      body: JSON.stringify(flags)
+    });
+  }
+
+  static getAutoConfirmStatus() {
+    return this.get('/api/auto-confirm');
+  }
+
+  static runAutoConfirm() {
+    return this.post('/api/auto-confirm/run', {});
+  }
+
+  static getPolicy() {
+    return this.get('/api/policy');
+  }
+
+  static savePolicyRules(accountId, rules) {
+    return this.request(accountId ? `/api/accounts/${accountId}/policy` : '/api/policy', {
+      method: 'PUT',
+      body: JSON.stringify({ rules })
+    });
+  }
+
+  static dryRunPolicy(accountId, override = {}) {
+    return this.post(`/api/accounts/${accountId}/policy/dry-run`, override);
+  }
+
+  static getTokens() {
+    return this.get('/api/tokens');
+  }
+
+  static createToken(options) {
+    return this.post('/api/tokens', options);
+  }
+
+  static revokeToken(tokenId) {
+    return this.request(`/api/tokens/${encodeURIComponent(tokenId)}`, { method: 'DELETE' });
+  }
+
+  static removeAccount(accountId) {
+    return this.request(`/api/accounts/${accountId}`, { method: 'DELETE' });
+  }
+
+  static getTrash() {
+    return this.get('/api/trash');
+  }
+
+  static restoreAccount(trashId) {
+    return this.post(`/api/trash/${encodeURIComponent(trashId)}/restore`, {});
+  }
+
   static getGuardCode(accountId) {
-    return this.get(`/api/accounts/${accountId}/code`);
+    return this.request(`/api/accounts/${accountId}/code`, {
+      method: 'GET',
+      headers: { 'X-Background-Poll': '1' }
+    });
+  }
+
+  static getCodes() {
+    return this.request('/api/codes', {
+      method: 'GET',
+      headers: { 'X-Background-Poll': '1' }
+    });
+  }
+
+  static getOtpEntries() {
+    return this.get('/api/otp');
+  }
+
+  static addOtpEntry(entry) {
+    return this.post('/api/otp', entry);
+  }
+
+  static updateOtpEntry(id, changes) {
+    return this.request(`/api/otp/${encodeURIComponent(id)}`, {
+      method: 'PUT',
+      body: JSON.stringify(changes)
+    });
+  }
+
+  static removeOtpEntry(id) {
+    return this.request(`/api/otp/${encodeURIComponent(id)}`, { method: 'DELETE' });
+  }
+
+  static advanceHotp(id) {
+    return this.post(`/api/otp/${encodeURIComponent(id)}/next`, {});
+  }
+
+  static getVaultStatus() {
+    return this.get('/api/vault/status');
+  }
+
+  static unlockVault(passkey) {
+    return this.post('/api/vault/unlock', { passkey });
+  }
+
+  static lockVault() {
+    return this.post('/api/vault/lock', {});
+  }
+
+  static changeVaultPasskey(currentPasskey, newPasskey, decrypt = false) {
+    return this.post('/api/vault/passkey', { currentPasskey, newPasskey, decrypt });
   }
 
   static validateSession(accountId) {
@@ -75,6 +242,15 @@ export class APIClient {
     return this.get(`/api/accounts/${accountId}/confirmations`);
   }
 
+  static getConfirmationDetails(accountId, conf) {
+    return this.post(`/api/accounts/${accountId}/confirmations/details`, {
+      confirmationId: conf.id,
+      key: conf.nonce,
+      type: conf.type,
+      creatorId: conf.creator_id
+    });
+  }
+
   static actOnConfirmations(accountId, op, confirmations) {
     return this.post(`/api/accounts/${accountId}/confirmations/act`, { op, confirmations });
   }
@@ -0,0 +1,159 @@
+import { APIClient } from './api.js';
+
+const AUTH_ERRORS = {
+  BAD_PASSWORD: 'Wrong password',
+  TOO_MANY_ATTEMPTS: 'Too many failed attempts, wait a moment and try again',
+  PASSWORD_TOO_SHORT: 'Password must be at least 8 characters',
+  SETUP_LOCAL_ONLY: 'The admin password can only be created from the machine running the server'
+};
+
+export class AuthScreen {
+  constructor(ui) {
+    this.ui = ui;
+  }
+
+  render(container, status, onAuthenticated) {
+    const setup = !status?.configured;
+    const inputStyle = 'width: 100%; padding: 10px; border: 1px solid var(--border-primary); border-radius: 4px; background: var(--bg-secondary); color: var(--text-primary); font-size: 0.95rem; margin-bottom: 12px;';
+
+    container.innerHTML = `
+      <div class="app-layout">
+        <div class="layout-header">
+          <h1>🔐 Steam Guard</h1>
+          <div class="subtitle">Authenticator Manager</div>
+        </div>
+
+        <div class="main-content">
+          <div class="collapsible-panel expanded">
+            <div class="panel-header">
+              <div class="panel-header-title">
+                <span>👤</span>
+                <span>${setup ? 'Create Admin Password' : 'Sign In'}</span>
+              </div>
+            </div>
+            <div class="panel-content">
+              <div style="padding: 20px; background: linear-gradient(135deg, var(--bg-accent) 0%, var(--bg-secondary) 100%); border: 2px solid var(--color-primary); border-radius: 8px;">
+                <p style="margin: 0 0 15px 0; font-size: 0.95rem; color: var(--text-secondary);">
+                  ${setup
+                    ? 'Choose the password that protects this web UI and its API (at least 8 characters):'
+                    : 'Enter the admin password to continue:'}
+                </p>
+
+                <input type="password" id="authPassword" placeholder="Admin password" autocomplete="${setup ? 'new-password' : 'current-password'}" style="${inputStyle}" />
+                ${setup ? `<input type="password" id="authPasswordConfirm" placeholder="Confirm password" autocomplete="new-password" style="${inputStyle}" />` : ''}
+
+                <button
+                  id="authSubmitBtn"
+                  style="width: 100%; padding: 12px; background: var(--color-primary); color: white; border: none; border-radius: 4px; cursor: pointer; font-weight: 600;"
+                >
+                  ${setup ? 'Create Password' : 'Sign In'}
+                </button>
+
+                <div id="authStatus" style="margin-top: 12px;"></div>
+              </div>
+            </div>
+          </div>
+        </div>
+      </div>
+    `;
+
+    const submitBtn = document.getElementById('authSubmitBtn');
+    const passwordInput = document.getElementById('authPassword');
+    const statusDiv = document.getElementById('authStatus');
+
+    const handleSubmit = async () => {
+      const password = passwordInput.value;
+      if (!password) {
+        statusDiv.innerHTML = '<div class="status-message status-error">Password required</div>';
+        return;
+      }
+      if (setup && password !== document.getElementById('authPasswordConfirm').value) {
+        statusDiv.innerHTML = '<div class="status-message status-error">Passwords do not match</div>';
+        return;
+      }
+
+      submitBtn.disabled = true;
+      statusDiv.innerHTML = '<div class="status-message status-info">⏳ Checking...</div>';
+
+      try {
+        if (setup) {
+          await APIClient.setupAuth(password);
+        } else {
+          await APIClient.login(password);
+        }
+        passwordInput.value = '';
+        await onAuthenticated();
+      } catch (error) {
+        statusDiv.innerHTML = `<div class="status-message status-error">❌ ${AUTH_ERRORS[error.message] || error.message}</div>`;
+        submitBtn.disabled = false;
+      }
+    };
+
+    submitBtn.addEventListener('click', handleSubmit);
+    container.querySelectorAll('input[type="password"]').forEach(input => {
+      input.addEventListener('keypress', e => {
+        if (e.key === 'Enter') handleSubmit();
+      });
+    });
+    passwordInput.focus();
+  }
+}
+
+export class AdminPasswordPanel {
+  constructor(app) {
+    this.app = app;
+  }
+
+  render(container) {
+    const inputStyle = 'width: 100%; padding: 8px; border: 1px solid var(--border-primary); border-radius: 4px; background: var(--bg-tertiary); color: var(--text-primary); margin-bottom: 8px;';
+
+    container.innerHTML = `
+      <div class="collapsible-panel collapsed">
+        <div class="panel-header">
+          <div class="panel-header-title">
+            <span>👤</span>
+            <span>Admin Password</span>
+          </div>
+          <div class="panel-toggle">▼</div>
+        </div>
+        <div class="panel-content">
+          <input type="password" id="adminCurrentPassword" placeholder="Current password" autocomplete="current-password" style="${inputStyle}" />
+          <input type="password" id="adminNewPassword" placeholder="New password" autocomplete="new-password" style="${inputStyle}" />
+          <input type="password" id="adminConfirmPassword" placeholder="Confirm new password" autocomplete="new-password" style="${inputStyle}" />
+          <button id="adminPasswordBtn" style="width: 100%;">Change Password</button>
+          <div id="adminPasswordStatus" style="margin-top: 10px;"></div>
+        </div>
+      </div>
+    `;
+
+    const header = container.querySelector('.panel-header');
+    const panel = container.querySelector('.collapsible-panel');
+    header.addEventListener('click', () => {
+      panel.classList.toggle('collapsed');
+      panel.classList.toggle('expanded');
+    });
+
+    document.getElementById('adminPasswordBtn').addEventListener('click', () => this.changePassword());
+  }
+
+  async changePassword() {
+    const statusDiv = document.getElementById('adminPasswordStatus');
+    const currentPassword = document.getElementById('adminCurrentPassword').value;
+    const newPassword = document.getElementById('adminNewPassword').value;
+
+    if (newPassword !== document.getElementById('adminConfirmPassword').value) {
+      statusDiv.innerHTML = '<div class="status-message status-error">Passwords do not match</div>';
+      return;
+    }
+
+    try {
+      await APIClient.changeAdminPassword(currentPassword, newPassword);
+      ['adminCurrentPassword', 'adminNewPassword', 'adminConfirmPassword'].forEach(id => {
+        document.getElementById(id).value = '';
+      });
+      statusDiv.innerHTML = '<div class="status-message status-success">✓ Password changed, other sessions were signed out</div>';
+    } catch (error) {
+      statusDiv.innerHTML = `<div class="status-message status-error">❌ ${AUTH_ERRORS[error.message] || error.message}</div>`;
+    }
+  }
+}
@@ -0,0 +1,148 @@
+import { APIClient } from './api.js';
+import { escapeHtml } from './ui-manager.js';
+
+const LEVEL_ICONS = { info: '✓', warn: '⚠️', error: '❌' };
+
+// Per account toggles for the SDA manifest's auto_confirm_trades and
+// auto_confirm_market_transactions flags, plus the worker's log.
+export class AutoConfirmPanel {
+  constructor(app) {
+    this.app = app;
+    this.expanded = false;
+  }
+
+  async render(container) {
+    if (!container) return;
+    this.container = container;
+
+    let status;
+    try {
+      status = await APIClient.getAutoConfirmStatus();
+    } catch (error) {
+      console.error('[AutoConfirm] Failed to load:', error);
+      container.innerHTML = '';
+      return;
+    }
+
+    const accounts = (this.app.accounts || []).filter(a => a.capabilities?.confirmations);
+    const enabledCount = accounts.filter(a => a.auto_confirm?.trades || a.auto_confirm?.market).length;
+
+    container.innerHTML = `
+      <div class="collapsible-panel ${this.expanded ? 'expanded' : 'collapsed'}">
+        <div class="panel-header">
+          <div class="panel-header-title">
+            <span>⚡</span>
+            <span>Auto-Confirm (${enabledCount})</span>
+          </div>
+          <div class="panel-toggle">▼</div>
+        </div>
+        <div class="panel-content">
+          ${status.enabled
+            ? `<div style="color: var(--text-secondary); font-size: 0.85rem; margin-bottom: 10px;">
+                Checked every ${status.intervalSeconds}s${status.lastRunAt ? `, last run ${new Date(status.lastRunAt).toLocaleTimeString()}` : ''}.
+                Enabled types are accepted unless a confirmation rule decides otherwise.
+              </div>`
+            : '<div class="status-message status-error" style="margin-bottom: 10px;">Worker disabled (AUTO_CONFIRM_INTERVAL_SECONDS is 0); flags are saved but not acted on</div>'}
+          <div class="token-list">
+            ${accounts.map(a => this.renderAccount(a, status.accounts[a.steamid])).join('') ||
+              '<div style="color: var(--text-secondary); font-size: 0.85rem;">No accounts with an identity_secret</div>'}
+          </div>
+          <button id="autoConfirmRunBtn" class="secondary" style="width: 100%;" ${status.enabled ? '' : 'disabled'}>Check Now</button>
+          <div class="auto-confirm-log">
+            ${status.log.slice(0, 50).map(entry => this.renderLogEntry(entry)).join('') ||
+              '<div style="color: var(--text-secondary);">Nothing logged yet</div>'}
+          </div>
+        </div>
+      </div>
+    `;
+
+    const header = container.querySelector('.panel-header');
+    const panel = container.querySelector('.collapsible-panel');
+    header.addEventListener('click', () => {
+      panel.classList.toggle('collapsed');
+      panel.classList.toggle('expanded');
+      this.expanded = panel.classList.contains('expanded');
+    });
+
+    container.querySelectorAll('.auto-confirm-flag').forEach(input => {
+      input.addEventListener('change', () => this.setFlag(input));
+    });
+    document.getElementById('autoConfirmRunBtn').addEventListener('click', () => this.runNow());
+  }
+
+  renderAccount(account, state) {
+    const flags = account.auto_confirm || {};
+    let stateText;
+    if (state?.paused) stateText = '⏸ Paused, log in again to resume';
+    else if (state?.lastError) stateText = `❌ ${escapeHtml(state.lastError)}`;
+    else if (state?.lastCheckedAt) stateText = `Checked ${new Date(state.lastCheckedAt).toLocaleTimeString()}, ${state.confirmed} confirmed, ${state.declined} declined`;
+    else if (flags.trades || flags.market) stateText = 'Waiting for the next run';
+    else stateText = 'Off (confirmation rules still apply)';
+
+    return `
+      <div class="mini-account-card">
+        <div class="mini-account-card-row">
+          <span class="mini-account-card-label">${escapeHtml(account.account_name)}</span>
+          <span class="token-scopes" style="margin: 0;">
+            <label><input type="checkbox" class="auto-confirm-flag" data-steamid="${account.steamid}" data-flag="trades" ${flags.trades ? 'checked' : ''} /> Trades</label>
+            <label><input type="checkbox" class="auto-confirm-flag" data-steamid="${account.steamid}" data-flag="market" ${flags.market ? 'checked' : ''} /> Market</label>
+          </span>
+        </div>
+        <div class="mini-account-card-row">
+          <span class="mini-account-card-value">${stateText}</span>
+        </div>
+      </div>
+    `;
+  }
+
+  renderLogEntry(entry) {
+    return `
+      <div class="auto-confirm-log-entry auto-confirm-log-${entry.level}">
+        <span>${new Date(entry.at).toLocaleTimeString()}</span>
+        <span>${LEVEL_ICONS[entry.level] || ''} ${entry.account_name ? `${escapeHtml(entry.account_name)}: ` : ''}${escapeHtml(entry.message)}</span>
+      </div>
+    `;
+  }
+
+  async setFlag(input) {
+    const account = (this.app.accounts || []).find(a => a.steamid === input.dataset.steamid);
+    const enabling = input.checked;
+    if (enabling && input.dataset.flag === 'trades' &&
+        !confirm(`Accept every trade confirmation of ${account?.account_name || input.dataset.steamid} automatically? Anyone who can start a trade on this account could then empty its inventory.`)) {
+      input.checked = false;
+      return;
+    }
+
+    input.disabled = true;
+    try {
+      const result = await APIClient.setAutoConfirm(input.dataset.steamid, { [input.dataset.flag]: enabling });
+      if (account) account.auto_confirm = result.auto_confirm;
+      this.expanded = true;
+      await this.render(this.container);
+    } catch (error) {
+      input.checked = !enabling;
+      input.disabled = false;
+      this.app.ui.showError('Failed to update auto-confirm: ' + (error.data?.error || error.message));
+    }
+  }
+
+  async runNow() {
+    const btn = document.getElementById('autoConfirmRunBtn');
+    btn.disabled = true;
+    btn.textContent = 'Checking...';
+    try {
+      await APIClient.runAutoConfirm();
+    } catch (error) {
+      this.app.ui.showError('Auto-confirm run failed: ' + (error.data?.error || error.message));
+    }
+    await this.render(this.container);
+  }
+
+  // Live log entries; the panel is reloaded so the account states match.
+  onEvent(entry) {
+    if (entry.level === 'info' && /^(Confirmed|Declined)/.test(entry.message)) {
+      this.app.ui.showInfo(`${entry.account_name}: ${entry.message}`, 5000);
+    }
+    if (this.container) this.render(this.container);
+  }
+}
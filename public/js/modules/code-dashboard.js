@@ -0,0 +1,252 @@
+import { APIClient } from './api.js';
+import { escapeHtml } from './ui-manager.js';
+
+export class CodeDashboard {
+  constructor(app, pollIntervalMs = 1000, liveEvents = null) {
+    this.app = app;
+    this.pollIntervalMs = pollIntervalMs;
+    this.liveEvents = liveEvents;
+    this.interval = null;
+    this.tickInterval = null;
+    this.unsubscribe = [];
+    this.codes = [];
+    this.shownSeconds = null;
+    this.search = '';
+    this.group = '';
+    this.gridSignature = null;
+  }
+
+  render(container) {
+    if (!container) return;
+    this.container = container;
+
+    const entries = [...(this.app.accounts || []), ...(this.app.otpEntries || [])];
+    const groups = [...new Set(entries.flatMap(e => e.groups || []))].sort();
+    if (this.group && !groups.includes(this.group)) this.group = '';
+    const inputStyle = 'padding: 8px; border: 1px solid var(--border-primary); border-radius: 4px; background: var(--bg-tertiary); color: var(--text-primary);';
+
+    container.innerHTML = `
+      <div class="collapsible-panel expanded">
+        <div class="panel-header">
+          <div class="panel-header-title">
+            <span>🔢</span>
+            <span>Codes</span>
+          </div>
+          <div class="panel-toggle">▼</div>
+        </div>
+        <div class="panel-content">
+          <div class="code-dashboard-filters">
+            <input type="search" id="codeSearch" placeholder="Search name, issuer or SteamID" value="${escapeHtml(this.search)}" style="${inputStyle} flex: 1;" />
+            ${groups.length ? `
+              <select id="codeGroup" style="${inputStyle}">
+                <option value="">All groups</option>
+                ${groups.map(g => `<option value="${escapeHtml(g)}" ${g === this.group ? 'selected' : ''}>🏷️ ${escapeHtml(g)}</option>`).join('')}
+              </select>
+            ` : ''}
+          </div>
+          <div id="codeDashboardGrid" class="code-dashboard-grid"></div>
+        </div>
+      </div>
+    `;
+    this.gridSignature = null;
+
+    const header = container.querySelector('.panel-header');
+    const panel = container.querySelector('.collapsible-panel');
+    header.addEventListener('click', () => {
+      panel.classList.toggle('collapsed');
+      panel.classList.toggle('expanded');
+    });
+
+    document.getElementById('codeSearch').addEventListener('input', e => {
+      this.search = e.target.value;
+      this.renderGrid();
+    });
+    document.getElementById('codeGroup')?.addEventListener('change', e => {
+      this.group = e.target.value;
+      this.renderGrid();
+    });
+    document.getElementById('codeDashboardGrid').addEventListener('click', e => {
+      const copyBtn = e.target.closest('.code-card-copy');
+      if (copyBtn) this.copy(copyBtn);
+      const openBtn = e.target.closest('.code-card-open');
+      if (openBtn) this.open(openBtn.dataset.steamid);
+      const nextBtn = e.target.closest('.code-card-next');
+      if (nextBtn) this.advance(nextBtn);
+    });
+
+    this.renderGrid();
+  }
+
+  start() {
+    this.stop();
+    if (this.liveEvents) {
+      this.unsubscribe = [
+        this.liveEvents.on('codes', snapshot => this.applySnapshot(snapshot)),
+        this.liveEvents.on('status', ({ connected }) => this.setPolling(!connected))
+      ];
+    }
+    // The stream only pushes at rollover, so the current window is fetched once.
+    if (this.liveEvents?.connected) this.fetchCodes();
+    this.setPolling(!this.liveEvents?.connected);
+    this.tickInterval = setInterval(() => this.tick(), 250);
+  }
+
+  stop() {
+    this.setPolling(false);
+    if (this.tickInterval) {
+      clearInterval(this.tickInterval);
+      this.tickInterval = null;
+    }
+    this.unsubscribe.forEach(fn => fn());
+    this.unsubscribe = [];
+  }
+
+  isRunning() {
+    return !!this.tickInterval;
+  }
+
+  setPolling(enabled) {
+    if (enabled && !this.interval) {
+      this.fetchCodes();
+      this.interval = setInterval(() => this.fetchCodes(), this.pollIntervalMs);
+    } else if (!enabled && this.interval) {
+      clearInterval(this.interval);
+      this.interval = null;
+    }
+  }
+
+  async fetchCodes() {
+    try {
+      this.applySnapshot(await APIClient.getCodes());
+    } catch (error) {
+      console.error('[Codes] Fetch failed:', error);
+    }
+  }
+
+  // Each entry keeps its own expiry: Steam codes roll every 30s, TOTP entries
+  // at their own period and HOTP codes only when advanced.
+  applySnapshot(snapshot) {
+    const now = Date.now();
+    this.codes = snapshot.codes.map(c => ({
+      ...c,
+      expiresAt: c.period ? now + (c.valid_for_ms ?? snapshot.valid_for_ms) : null
+    }));
+    this.shownSeconds = null;
+    this.tick();
+  }
+
+  // Between pushes the countdown runs locally and the next codes take over
+  // when a window ends, so the cards are only updated once per second.
+  tick() {
+    const now = Date.now();
+    this.codes = this.codes.map(c => (c.expiresAt && now >= c.expiresAt)
+      ? { ...c, code: c.next_code || c.code, next_code: null, expiresAt: c.expiresAt + c.period * 1000 }
+      : c);
+    const second = Math.floor(now / 1000);
+    if (second === this.shownSeconds) return;
+    this.shownSeconds = second;
+    this.renderGrid();
+  }
+
+  // Search and group filters run locally on the last snapshot. The cards are
+  // only rebuilt when the visible entries change; otherwise their code and
+  // timer text is updated in place so button state like "Copied" survives.
+  renderGrid() {
+    const grid = document.getElementById('codeDashboardGrid');
+    if (!grid) return;
+
+    const query = this.search.trim().toLowerCase();
+    const codes = this.codes
+      .filter(c => !this.group || c.groups.includes(this.group))
+      .filter(c => !query || [c.account_name, c.issuer, c.steamid].some(v => (v || '').toLowerCase().includes(query)));
+
+    if (codes.length === 0) {
+      this.gridSignature = null;
+      grid.innerHTML = `<div style="grid-column: 1/-1; text-align: center; color: var(--text-secondary);">${this.codes.length ? 'No matching accounts' : 'No accounts imported yet'}</div>`;
+      return;
+    }
+
+    const signature = codes.map(c => [c.kind, c.id || c.steamid, c.account_name, c.issuer].join(':')).join('|');
+    if (signature === this.gridSignature) {
+      grid.querySelectorAll('.code-card').forEach((card, i) => this.updateCard(card, codes[i]));
+      return;
+    }
+    this.gridSignature = signature;
+    grid.innerHTML = codes.map(c => this.renderCard(c)).join('');
+  }
+
+  remainingSeconds(c) {
+    return c.expiresAt ? Math.max(0, Math.ceil((c.expiresAt - Date.now()) / 1000)) : null;
+  }
+
+  updateCard(card, c) {
+    const placeholder = '-'.repeat(c.digits || 5);
+    const remaining = this.remainingSeconds(c);
+    card.querySelector('.code-card-code').textContent = c.code || placeholder;
+    const timer = card.querySelector('.code-card-timer');
+    timer.textContent = remaining === null ? `counter ${c.counter}` : `${remaining}s`;
+    timer.classList.toggle('code-card-expiring', remaining !== null && remaining <= 5);
+    card.querySelector('.code-card-next-code').textContent = `next ${c.next_code || placeholder}`;
+    const copyBtn = card.querySelector('.code-card-copy');
+    if (copyBtn.dataset.code !== (c.code || '')) {
+      copyBtn.dataset.code = c.code || '';
+      copyBtn.disabled = !c.code;
+      copyBtn.textContent = '📋 Copy';
+      copyBtn.classList.remove('copied');
+    }
+  }
+
+  renderCard(c) {
+    const placeholder = '-'.repeat(c.digits || 5);
+    const remaining = this.remainingSeconds(c);
+    const isOtp = c.kind === 'otp';
+    const name = isOtp ? [c.issuer, c.account_name].filter(Boolean).join(': ') : c.account_name || c.steamid;
+    const title = isOtp ? `${c.type.toUpperCase()} · ${c.algorithm} · ${c.digits} digits` : c.steamid;
+    // Confirmations, devices and sessions only exist for Steam accounts.
+    const action = isOtp
+      ? c.type === 'hotp'
+        ? `<button class="secondary code-card-next" data-otp-id="${c.id}" title="Use the next counter value">⏭ Next</button>`
+        : `<button class="secondary" disabled title="Not a Steam account">Open</button>`
+      : `<button class="secondary code-card-open" data-steamid="${c.steamid}">Open</button>`;
+
+    return `
+      <div class="code-card">
+        <div class="code-card-name" title="${escapeHtml(title)}">
+          ${isOtp ? `<span class="code-card-badge">${c.type.toUpperCase()}</span>` : ''}${escapeHtml(name)}
+        </div>
+        <div class="code-card-code">${c.code || placeholder}</div>
+        <div class="code-card-meta">
+          <span class="code-card-timer ${remaining !== null && remaining <= 5 ? 'code-card-expiring' : ''}">${remaining === null ? `counter ${c.counter}` : `${remaining}s`}</span>
+          <span class="code-card-next-code">next ${c.next_code || placeholder}</span>
+        </div>
+        <div class="code-card-actions">
+          <button class="copy-btn code-card-copy" data-code="${c.code || ''}" ${c.code ? '' : 'disabled'}>📋 Copy</button>
+          ${action}
+        </div>
+      </div>
+    `;
+  }
+
+  open(steamid) {
+    const account = (this.app.accounts || []).find(a => a.steamid === steamid);
+    if (account) this.app.selectAccount(account);
+  }
+
+  async advance(btn) {
+    btn.disabled = true;
+    try {
+      await APIClient.advanceHotp(btn.dataset.otpId);
+      await this.fetchCodes();
+    } catch (error) {
+      this.app.ui.showError('Failed to advance counter: ' + (error.data?.error || error.message));
+      btn.disabled = false;
+    }
+  }
+
+  copy(btn) {
+    navigator.clipboard.writeText(btn.dataset.code).then(() => {
+      btn.textContent = '✓ Copied';
+      btn.classList.add('copied');
+    });
+  }
+}
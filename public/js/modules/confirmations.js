@@ -1,9 +1,11 @@
 import { APIClient } from './api.js';
+import { escapeHtml } from './ui-manager.js';
 
 export class ConfirmationsPanel {
   constructor(ui) {
     this.ui = ui;
     this.currentAccount = null;
+    this.details = new Map();
   }
 
   render(container, account) {
@@ -34,6 +36,7 @@ export class ConfirmationsPanel {
   }
 
   async load(account) {
+    if (this.currentAccount?.id !== account.id) this.details.clear();
     this.currentAccount = account;
     const container = document.getElementById('confirmationsContent');
 
@@ -44,19 +47,25 @@ export class ConfirmationsPanel {
       const confirmations = data.confirmations || [];
 
       if (confirmations.length === 0) {
-        container.innerHTML = '<div style="text-align: center; padding: 20px; color: var(--text-secondary);">No pending confirmations</div>';
+        container.innerHTML = this.renderLastResults() + '<div style="text-align: center; padding: 20px; color: var(--text-secondary);">No pending confirmations</div>';
         return;
       }
 
-      let html = '<div class="conf-list">';
+      for (const id of this.details.keys()) {
+        if (!confirmations.some(c => String(c.id) === id)) this.details.delete(id);
+      }
+
+      let html = this.renderLastResults() + '<div class="conf-list">';
       confirmations.forEach(conf => {
         html += `
           <div class="conf-item">
             <input type="checkbox" value="${conf.id}" data-key="${conf.nonce}" class="conf-checkbox">
             <div class="conf-item-content">
-              <div class="conf-item-title">${conf.headline || conf.type_name}</div>
-              <div class="conf-item-summary">${conf.summary}</div>
+              <div class="conf-item-title">${escapeHtml(conf.headline || conf.type_name)}</div>
+              <div class="conf-item-summary">${escapeHtml(conf.summary)}</div>
               <div class="conf-item-time">${new Date(conf.creation_time * 1000).toLocaleString()}</div>
+              <button class="secondary conf-details-toggle" data-conf-id="${conf.id}">▸ Details</button>
+              <div class="conf-details" data-conf-id="${conf.id}" style="display: none;"></div>
             </div>
           </div>
         `;
@@ -73,9 +82,16 @@ export class ConfirmationsPanel {
 
       container.innerHTML = html;
 
+      container.querySelectorAll('.conf-details-toggle').forEach(btn => {
+        const conf = confirmations.find(c => String(c.id) === btn.dataset.confId);
+        btn.addEventListener('click', () => this.toggleDetails(conf, btn));
+      });
       document.getElementById('acceptBtn').addEventListener('click', () => this.actOnSelected('allow'));
       document.getElementById('declineBtn').addEventListener('click', () => this.actOnSelected('cancel'));
-      document.getElementById('refreshBtn').addEventListener('click', () => this.loadWithRetry(this.currentAccount));
+      document.getElementById('refreshBtn').addEventListener('click', () => {
+        this.lastResults = null;
+        this.loadWithRetry(this.currentAccount);
+      });
     } catch (error) {
       console.error('[Confirmations] Load error:', error);
       
@@ -88,7 +104,7 @@ export class ConfirmationsPanel {
         throw new Error('LOGIN_REQUIRED');
       }
       
-      container.innerHTML = `<div class="status-message status-error">${error.message}</div>`;
+      container.innerHTML = `<div class="status-message status-error">${escapeHtml(error.message)}</div>`;
     }
   }
 
@@ -98,15 +114,32 @@ export class ConfirmationsPanel {
       id: c.value,
       key: c.getAttribute('data-key')
     }));
+    const titles = new Map(Array.from(checks).map(c => [
+      c.value,
+      c.closest('.conf-item').querySelector('.conf-item-title').textContent
+    ]));
 
     if (confirmations.length === 0) {
       this.ui.showError('Select at least one confirmation');
       return;
     }
 
+    await this.act(op, confirmations, titles);
+  }
+
+  async act(op, confirmations, titles) {
     try {
-      await APIClient.actOnConfirmations(this.currentAccount.id, op, confirmations);
-      this.ui.showSuccess(`${confirmations.length} confirmation(s) ${op === 'allow' ? 'accepted' : 'declined'}`);
+      const result = await APIClient.actOnConfirmations(this.currentAccount.id, op, confirmations);
+      const verb = op === 'allow' ? 'accepted' : 'declined';
+      this.lastResults = {
+        verb,
+        items: result.results.map(r => ({ ...r, title: titles.get(String(r.id)) || r.id }))
+      };
+      if (result.success) {
+        this.ui.showSuccess(`${result.summary.succeeded} confirmation(s) ${verb}`);
+      } else {
+        this.ui.showError(`${result.summary.succeeded} ${verb}, ${result.summary.failed} failed`);
+      }
       await this.load(this.currentAccount);
     } catch (error) {
       if (error.status === 401 || error.message === 'LOGIN_REQUIRED') {
@@ -116,4 +149,152 @@ export class ConfirmationsPanel {
       this.ui.showError('Error: ' + error.message);
     }
   }
-}
\ No newline at end of file
+
+  // Outcome of the last accept/decline, per confirmation; kept until the next
+  // action or a manual refresh.
+  renderLastResults() {
+    if (!this.lastResults) return '';
+    const { verb, items } = this.lastResults;
+    return `
+      <div class="conf-results">
+        ${items.map(item => `
+          <div class="conf-result ${item.success ? 'conf-result-ok' : 'conf-result-failed'}">
+            <span>${item.success ? '✓' : '✗'} ${escapeHtml(item.title)}</span>
+            <span>${item.success ? verb : `${item.error === 'LOGIN_REQUIRED' ? 'session expired' : escapeHtml(item.error)}${item.retryable ? ', try again' : ''}`}</span>
+          </div>
+        `).join('')}
+      </div>
+    `;
+  }
+
+  async toggleDetails(conf, btn) {
+    const view = btn.nextElementSibling;
+    if (view.style.display !== 'none') {
+      view.style.display = 'none';
+      btn.textContent = '▸ Details';
+      return;
+    }
+    view.style.display = 'block';
+    btn.textContent = '▾ Details';
+
+    if (!this.details.has(String(conf.id))) {
+      view.innerHTML = '<div class="loading-state"><div class="spinner"></div> Loading details...</div>';
+      try {
+        this.details.set(String(conf.id), await APIClient.getConfirmationDetails(this.currentAccount.id, conf));
+      } catch (error) {
+        const expired = error.status === 401 || error.message === 'LOGIN_REQUIRED';
+        view.innerHTML = `<div class="status-message status-error">${expired ? 'Session expired.Please refresh the account.' : escapeHtml(error.data?.error || error.message)}</div>`;
+        return;
+      }
+    }
+
+    view.innerHTML = this.renderDetails(this.details.get(String(conf.id)));
+    const one = [{ id: String(conf.id), key: conf.nonce }];
+    const titles = new Map([[String(conf.id), conf.headline || conf.type_name]]);
+    view.querySelector('.conf-details-accept').addEventListener('click', () => this.act('allow', one, titles));
+    view.querySelector('.conf-details-decline').addEventListener('click', () => this.act('cancel', one, titles));
+  }
+
+  renderDetails(details) {
+    const body = {
+      trade: () => this.renderTrade(details),
+      market: () => this.renderMarket(details.listing),
+      api_key: () => this.renderFields({ 'Domain': details.apiKey.domain }),
+      phone_change: () => this.renderFields({ 'New number': details.phone.number, 'Ending in': details.phone.endingIn }),
+      account_recovery: () => this.renderFields({ 'IP address': details.recovery.ip, 'Location': details.recovery.location, 'Device': details.recovery.device }),
+      purchase: () => this.renderPurchase(details.purchase)
+    }[details.kind];
+
+    return `
+      ${details.warningText ? `<div class="conf-details-warning">⚠️ ${escapeHtml(details.warningText)}</div>` : ''}
+      ${body ? body() : this.renderDescription(details.description)}
+      <div class="conf-actions">
+        <button class="conf-details-accept">✓ Accept</button>
+        <button class="secondary conf-details-decline">✗ Decline</button>
+      </div>
+    `;
+  }
+
+  renderTrade(details) {
+    const partner = details.partner || {};
+    const profileUrl = partner.profileUrl || (partner.steamid ? `https://steamcommunity.com/profiles/${partner.steamid}` : null);
+    const give = details.youGiveItems || [];
+    const receive = details.youReceiveItems || [];
+    const unpriced = details.totals ? details.totals.unpricedGiveItems + details.totals.unpricedReceiveItems : 0;
+    const delta = details.totals ? details.totals.receiveValue - details.totals.giveValue : null;
+
+    return `
+      <div class="conf-partner">
+        ${partner.avatar ? `<img src="${escapeHtml(partner.avatar)}" alt="" class="conf-partner-avatar">` : ''}
+        <div>
+          <div class="conf-item-title">${escapeHtml(partner.name || 'Unknown partner')}</div>
+          ${profileUrl ? `<a href="${escapeHtml(profileUrl)}" target="_blank" rel="noopener" class="conf-item-time">View profile</a>` : ''}
+        </div>
+      </div>
+      ${this.renderItemList(`You give (${give.length})`, give)}
+      ${this.renderItemList(`You receive (${receive.length})`, receive)}
+      ${delta !== null ? `
+        <div class="conf-value-delta ${delta < 0 ? 'conf-value-loss' : 'conf-value-gain'}">
+          Value: ${delta >= 0 ? '+' : ''}${delta.toFixed(2)}${unpriced ? ` (${unpriced} item(s) without a price)` : ''}
+        </div>
+      ` : ''}
+    `;
+  }
+
+  renderItemList(title, items) {
+    return `
+      <div class="conf-details-section">${title}</div>
+      ${items.map(item => this.renderItem(item)).join('') || '<div class="conf-item-time">Nothing</div>'}
+    `;
+  }
+
+  renderItem(item) {
+    const price = item.price?.median || item.price?.lowest;
+    return `
+      <div class="conf-details-item">
+        ${item.icon ? `<img src="${escapeHtml(item.icon)}" alt="" style="${item.borderColor ? `border-color: ${escapeHtml(item.borderColor)};` : ''}">` : '<span class="conf-details-item-noicon"></span>'}
+        <span class="conf-details-item-name">
+          ${escapeHtml(item.name || 'Unknown item')}
+          ${item.appName ? `<span class="conf-item-time">${escapeHtml(item.appName)}</span>` : ''}
+        </span>
+        <span class="conf-details-item-price">${price ? escapeHtml(price) : 'no price'}</span>
+      </div>
+    `;
+  }
+
+  renderMarket(listing) {
+    return `
+      ${listing.item ? this.renderItem(listing.item) : ''}
+      ${this.renderFields({
+        'Buyer pays': listing.buyerPays?.text,
+        'You receive': listing.youReceive?.text
+      })}
+    `;
+  }
+
+  renderPurchase(purchase) {
+    return `
+      ${purchase.items.map(item => this.renderItem({ ...item, price: item.price && { median: item.price.text } })).join('')}
+      ${this.renderFields({
+        'Total': purchase.total?.text,
+        'Gift': purchase.giftRecipient ? `for ${purchase.giftRecipient}` : purchase.isGift ? 'yes' : null
+      })}
+    `;
+  }
+
+  renderFields(fields) {
+    const rows = Object.entries(fields).filter(([, value]) => value);
+    if (!rows.length) return '<div class="conf-item-time">Steam did not say more about this confirmation</div>';
+    return rows.map(([label, value]) => `
+      <div class="conf-details-field">
+        <span>${label}</span>
+        <span>${escapeHtml(value)}</span>
+      </div>
+    `).join('');
+  }
+
+  renderDescription(lines) {
+    if (!lines?.length) return '<div class="conf-item-time">No details available</div>';
+    return `<div class="conf-item-summary">${lines.map(line => escapeHtml(line)).join('<br>')}</div>`;
+  }
+}
@@ -0,0 +1,152 @@
+import { APIClient } from './api.js';
+
+const FORMATS = [
+  { value: 'mafile', label: 'maFile (single account)', single: true },
+  { value: 'sda', label: 'SDA maFiles folder (zip)' },
+  { value: 'steamguard-cli', label: 'steamguard-cli (zip)' },
+  { value: 'otpauth', label: 'otpauth:// URI + QR code (codes only)', single: true },
+  { value: 'bundle', label: 'Encrypted backup bundle' }
+];
+
+export class ExportPanel {
+  constructor(app) {
+    this.app = app;
+  }
+
+  render(container) {
+    if (!container) return;
+    const accounts = this.app.accounts || [];
+    if (accounts.length === 0) {
+      container.innerHTML = '';
+      return;
+    }
+
+    const encrypted = !!this.app.vaultStatus?.encrypted;
+    const inputStyle = 'width: 100%; padding: 8px; border: 1px solid var(--border-primary); border-radius: 4px; background: var(--bg-tertiary); color: var(--text-primary); margin-bottom: 8px;';
+
+    container.innerHTML = `
+      <div class="collapsible-panel collapsed">
+        <div class="panel-header">
+          <div class="panel-header-title">
+            <span>📤</span>
+            <span>Export Accounts</span>
+          </div>
+          <div class="panel-toggle">▼</div>
+        </div>
+        <div class="panel-content">
+          <select id="exportFormat" style="${inputStyle}">
+            ${FORMATS.map(f => `<option value="${f.value}">${f.label}</option>`).join('')}
+          </select>
+          <select id="exportAccount" style="${inputStyle}">
+            <option value="">All accounts</option>
+            ${accounts.map(a => `<option value="${a.steamid}">${a.account_name || a.steamid}</option>`).join('')}
+          </select>
+          <div id="exportBundleGroup" style="display: none;">
+            <input type="password" id="exportBundlePassword" placeholder="Backup password" autocomplete="new-password" style="${inputStyle}" />
+            <input type="password" id="exportBundleConfirm" placeholder="Confirm backup password" autocomplete="new-password" style="${inputStyle}" />
+          </div>
+          ${encrypted ? `<input type="password" id="exportPasskey" placeholder="Vault passkey (required for exports)" autocomplete="off" style="${inputStyle}" />` : ''}
+          <button id="exportBtn" style="width: 100%;">Export</button>
+          <div id="exportStatus" style="margin-top: 10px;"></div>
+          <div id="exportResult"></div>
+        </div>
+      </div>
+    `;
+
+    const header = container.querySelector('.panel-header');
+    const panel = container.querySelector('.collapsible-panel');
+    header.addEventListener('click', () => {
+      panel.classList.toggle('collapsed');
+      panel.classList.toggle('expanded');
+    });
+
+    document.getElementById('exportFormat').addEventListener('change', e => {
+      document.getElementById('exportBundleGroup').style.display = e.target.value === 'bundle' ? 'block' : 'none';
+    });
+    document.getElementById('exportBtn').addEventListener('click', () => this.export());
+  }
+
+  async export() {
+    const statusDiv = document.getElementById('exportStatus');
+    const resultDiv = document.getElementById('exportResult');
+    const format = document.getElementById('exportFormat').value;
+    const steamid = document.getElementById('exportAccount').value || null;
+    const passkey = document.getElementById('exportPasskey')?.value || null;
+    const bundlePassword = document.getElementById('exportBundlePassword').value;
+    resultDiv.innerHTML = '';
+
+    if (FORMATS.find(f => f.value === format).single && !steamid) {
+      statusDiv.innerHTML = '<div class="status-message status-error">Select a single account for this format</div>';
+      return;
+    }
+    if (format === 'bundle') {
+      if (!bundlePassword) {
+        statusDiv.innerHTML = '<div class="status-message status-error">Backup password required</div>';
+        return;
+      }
+      if (bundlePassword !== document.getElementById('exportBundleConfirm').value) {
+        statusDiv.innerHTML = '<div class="status-message status-error">Backup passwords do not match</div>';
+        return;
+      }
+    }
+
+    statusDiv.innerHTML = '<div class="status-message status-info">⏳ Exporting...</div>';
+
+    try {
+      const result = await APIClient.exportAccounts(format, {
+        steamid,
+        passkey,
+        bundlePassword: format === 'bundle' ? bundlePassword : null
+      });
+      if (format === 'otpauth') {
+        this.renderOtpauth(result);
+      } else {
+        this.download(result);
+      }
+      statusDiv.innerHTML = '<div class="status-message status-success">✓ Export ready</div>';
+    } catch (error) {
+      const messages = {
+        EXPORT_PASSKEY_REQUIRED: 'Enter the vault passkey to export secrets',
+        BAD_PASSKEY: 'Wrong vault passkey'
+      };
+      statusDiv.innerHTML = `<div class="status-message status-error">❌ ${messages[error.message] || error.message}</div>`;
+    }
+  }
+
+  download(result) {
+    let blob;
+    if (result.encoding === 'base64') {
+      const binary = atob(result.content);
+      const bytes = new Uint8Array(binary.length);
+      for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+      blob = new Blob([bytes], { type: result.mimeType });
+    } else {
+      blob = new Blob([result.content], { type: result.mimeType });
+    }
+    const url = URL.createObjectURL(blob);
+    const element = document.createElement('a');
+    element.setAttribute('href', url);
+    element.setAttribute('download', result.filename);
+    element.style.display = 'none';
+    document.body.appendChild(element);
+    element.click();
+    document.body.removeChild(element);
+    URL.revokeObjectURL(url);
+  }
+
+  renderOtpauth(result) {
+    const resultDiv = document.getElementById('exportResult');
+    resultDiv.innerHTML = `
+      <div style="text-align: center; margin-top: 10px;">
+        <img src="${result.qrCode}" alt="otpauth QR code" style="max-width: 220px; background: #fff; padding: 8px; border-radius: 4px;" />
+        <div style="font-family: monospace; font-size: 0.75rem; word-break: break-all; margin: 8px 0; color: var(--text-secondary);">${result.uri}</div>
+        <button id="exportCopyUriBtn" class="secondary">📋 Copy URI</button>
+        <p style="color: var(--text-secondary); font-size: 0.8rem;">Only the code secret is included, confirmations stay here.</p>
+      </div>
+    `;
+    document.getElementById('exportCopyUriBtn').addEventListener('click', () => {
+      navigator.clipboard.writeText(result.uri);
+      this.app.ui.showSuccess('URI copied');
+    });
+  }
+}
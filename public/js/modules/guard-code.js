@@ -2,9 +2,16 @@
 import { APIClient } from './api.js';
 
 export class GuardCodeDisplay {
-  constructor() {
+  constructor(pollIntervalMs = 1000, liveEvents = null) {
+    this.pollIntervalMs = pollIntervalMs;
+    this.liveEvents = liveEvents;
     this.interval = null;
+    this.tickInterval = null;
+    this.unsubscribe = [];
     this.currentAccount = null;
+    this.code = null;
+    this.nextCode = null;
+    this.expiresAt = null;
   }
 
   render(container, account) {
@@ -58,39 +65,91 @@ export class GuardCodeDisplay {
     });
   }
 
+  // Codes arrive over the live stream at each window rollover; the countdown
+  // runs locally in between. Polling is only used while the stream is down.
   async start(account) {
     this.stop();
     this.currentAccount = account;
-    this.fetchCode();
-    this.interval = setInterval(() => this.fetchCode(), 1000);
+    if (this.liveEvents) {
+      this.unsubscribe = [
+        this.liveEvents.on('codes', snapshot => this.applySnapshot(snapshot)),
+        this.liveEvents.on('status', ({ connected }) => this.setPolling(!connected))
+      ];
+    }
+    // The stream only pushes at rollover, so the current window is fetched once.
+    if (this.liveEvents?.connected) this.fetchCode();
+    this.setPolling(!this.liveEvents?.connected);
+    this.tickInterval = setInterval(() => this.tick(), 250);
   }
 
   stop() {
-    if (this.interval) {
+    this.setPolling(false);
+    if (this.tickInterval) {
+      clearInterval(this.tickInterval);
+      this.tickInterval = null;
+    }
+    this.unsubscribe.forEach(fn => fn());
+    this.unsubscribe = [];
+    this.code = null;
+    this.nextCode = null;
+    this.expiresAt = null;
+  }
+
+  setPolling(enabled) {
+    if (enabled && !this.interval) {
+      this.fetchCode();
+      this.interval = setInterval(() => this.fetchCode(), this.pollIntervalMs);
+    } else if (!enabled && this.interval) {
       clearInterval(this.interval);
       this.interval = null;
     }
   }
 
+  applySnapshot(snapshot) {
+    const entry = snapshot.codes.find(c => c.id === this.currentAccount?.id);
+    if (!entry || !entry.code) return;
+    this.code = entry.code;
+    this.nextCode = entry.next_code;
+    this.expiresAt = Date.now() + snapshot.valid_for_ms;
+    this.tick();
+  }
+
   async fetchCode() {
     if (!this.currentAccount) return;
 
     try {
       const data = await APIClient.getGuardCode(this.currentAccount.id);
-      const codeEl = document.getElementById('guardCodeDisplay');
-      const timerCircle = document.getElementById('timerCircle');
-      const timerText = document.getElementById('timerText');
-
-      if (codeEl) codeEl.textContent = data.code;
-      if (timerCircle) {
-        timerCircle.textContent = data.valid_for_seconds;
-        timerCircle.classList.toggle('warning', data.valid_for_seconds <= 5);
-      }
-      if (timerText) {
-        timerText.textContent = `${data.valid_for_seconds} second${data.valid_for_seconds !== 1 ? 's' : ''}`;
-      }
+      this.code = data.code;
+      this.nextCode = null;
+      this.expiresAt = Date.now() + data.valid_for_seconds * 1000;
+      this.tick();
     } catch (error) {
       console.error('[GuardCode] Fetch failed:', error);
     }
   }
-}
\ No newline at end of file
+
+  tick() {
+    if (!this.code) return;
+    // The next code is already known, so the display flips on time even if
+    // the rollover push is a moment late.
+    if (Date.now() >= this.expiresAt && this.nextCode) {
+      this.code = this.nextCode;
+      this.nextCode = null;
+      this.expiresAt += 30 * 1000;
+    }
+    const remaining = Math.max(0, Math.ceil((this.expiresAt - Date.now()) / 1000));
+
+    const codeEl = document.getElementById('guardCodeDisplay');
+    const timerCircle = document.getElementById('timerCircle');
+    const timerText = document.getElementById('timerText');
+
+    if (codeEl) codeEl.textContent = this.code;
+    if (timerCircle) {
+      timerCircle.textContent = remaining;
+      timerCircle.classList.toggle('warning', remaining <= 5);
+    }
+    if (timerText) {
+      timerText.textContent = `${remaining} second${remaining !== 1 ? 's' : ''}`;
+    }
+  }
+}
@@ -1,7 +1,14 @@
+import { escapeHtml } from './ui-manager.js';
 
 export class ImportPanel {
   constructor(app) {
     this.app = app;
+    this.pendingFiles = [];
+  }
+
+  canCreateVault() {
+    const status = this.app.vaultStatus;
+    return !!status && !status.encrypted && !status.unlocked && status.entries === 0;
   }
 
   render(container) {
@@ -15,14 +22,46 @@ export class ImportPanel {
           <div class="panel-toggle">▼</div>
         </div>
         <div class="panel-content">
-          <p style="color: var(--text-secondary); font-size: 0.9rem; margin-top: 0;">Paste your maFile JSON content:</p>
-          <textarea 
-            id="maFileInput" 
-            placeholder="Paste maFile JSON..." 
+          <div id="importDropZone" class="import-drop-zone">
+            <div>Drop maFiles, an SDA manifest.json, a zip of the maFiles folder, or a steamguard-cli, WinAuth, Aegis or andOTP export or a backup bundle here (non-Steam TOTP/HOTP entries are added to Other 2FA Entries)</div>
+            <div class="import-drop-actions">
+              <button id="importPickFilesBtn" class="secondary">Choose Files</button>
+              <button id="importPickFolderBtn" class="secondary">Choose Folder</button>
+            </div>
+            <input type="file" id="importFileInput" multiple accept=".maFile,.json,.zip,.txt" style="display: none;" />
+            <input type="file" id="importFolderInput" webkitdirectory multiple style="display: none;" />
+          </div>
+          <div id="importFileList" class="import-file-list"></div>
+          <div id="importSdaPasskeyGroup" style="display: none; margin-top: 10px;">
+            <div class="status-message status-warning" style="margin-bottom: 10px;">
+              🔒 Some files are encrypted (SDA maFiles or a backup bundle). Enter the passkey to decrypt them:
+            </div>
+            <input type="password" id="importSdaPasskey" placeholder="SDA passkey or backup password" autocomplete="off" />
+          </div>
+          <div id="importSteamIdGroup" style="display: none; margin-top: 10px;">
+            <div class="status-message status-warning" style="margin-bottom: 10px;">
+              🆔 This export only contains the code secret. Enter the SteamID64 of the account:
+            </div>
+            <input type="text" id="importSteamId" placeholder="SteamID64 (7656119...)" autocomplete="off" />
+          </div>
+
+          <p style="color: var(--text-secondary); font-size: 0.9rem;">Or paste a maFile, an export or an otpauth:// URI:</p>
+          <textarea
+            id="maFileInput"
+            placeholder="Paste maFile JSON or otpauth://totp/Steam:..."
             style="width: 100%; min-height: 120px; padding: 8px; border: 1px solid var(--border-primary); border-radius: 4px; background: var(--bg-tertiary); color: var(--text-primary); resize: vertical; font-family: monospace; font-size: 0.85rem;"
           ></textarea>
-          <button id="importBtn" style="width: 100%; margin-top: 10px;">Import Account</button>
+          ${this.canCreateVault() ? `
+          <input
+            type="password"
+            id="importVaultPasskey"
+            placeholder="Vault passkey (optional, encrypts stored maFiles)"
+            autocomplete="new-password"
+            style="width: 100%; margin-top: 10px; padding: 8px; border: 1px solid var(--border-primary); border-radius: 4px; background: var(--bg-tertiary); color: var(--text-primary);"
+          />` : ''}
+          <button id="importBtn" style="width: 100%; margin-top: 10px;">Import</button>
           <div id="importStatus" style="margin-top: 10px;"></div>
+          <div id="importReport"></div>
         </div>
       </div>
     `;
@@ -34,24 +73,140 @@ export class ImportPanel {
       panel.classList.toggle('expanded');
     });
 
+    this.bindFilePickers();
+
     document.getElementById('importBtn').addEventListener('click', async () => {
       const text = document.getElementById('maFileInput').value.trim();
       const statusDiv = document.getElementById('importStatus');
+      const passkeyInput = document.getElementById('importVaultPasskey');
+      const passkey = passkeyInput ? passkeyInput.value : null;
 
-      if (!text) {
-        statusDiv.innerHTML = '<div class="status-message status-error">Please paste maFile content</div>';
+      if (this.pendingFiles.length === 0 && !text) {
+        statusDiv.innerHTML = '<div class="status-message status-error">Please paste maFile content or choose files</div>';
         return;
       }
 
-      statusDiv.innerHTML = '<div class="status-message status-info">⏳ Importing...</div>';
+      await this.importPendingFiles(passkey, text);
+    });
+  }
+
+  bindFilePickers() {
+    const dropZone = document.getElementById('importDropZone');
+    const fileInput = document.getElementById('importFileInput');
+    const folderInput = document.getElementById('importFolderInput');
 
-      try {
-        await this.app.importAccount(text);
-        document.getElementById('maFileInput').value = '';
-        statusDiv.innerHTML = '<div class="status-message status-success">✓ Import successful! Select the account to login.</div>';
-      } catch (error) {
-        statusDiv.innerHTML = `<div class="status-message status-error">❌ ${error.message}</div>`;
+    document.getElementById('importPickFilesBtn').addEventListener('click', () => fileInput.click());
+    document.getElementById('importPickFolderBtn').addEventListener('click', () => folderInput.click());
+    fileInput.addEventListener('change', () => this.addFiles(fileInput.files));
+    folderInput.addEventListener('change', () => this.addFiles(folderInput.files));
+
+    dropZone.addEventListener('dragover', e => {
+      e.preventDefault();
+      dropZone.classList.add('drag-over');
+    });
+    dropZone.addEventListener('dragleave', () => dropZone.classList.remove('drag-over'));
+    dropZone.addEventListener('drop', e => {
+      e.preventDefault();
+      dropZone.classList.remove('drag-over');
+      this.addFiles(e.dataTransfer.files);
+    });
+  }
+
+  addFiles(fileList) {
+    for (const file of Array.from(fileList || [])) {
+      const name = file.webkitRelativePath || file.name;
+      if (!this.pendingFiles.some(f => (f.webkitRelativePath || f.name) === name)) {
+        this.pendingFiles.push(file);
       }
+    }
+    this.renderFileList();
+  }
+
+  renderFileList() {
+    const list = document.getElementById('importFileList');
+    if (this.pendingFiles.length === 0) {
+      list.innerHTML = '';
+      return;
+    }
+    list.innerHTML = `
+      <div class="import-file-list-header">
+        <span>${this.pendingFiles.length} file(s) selected</span>
+        <button id="importClearFilesBtn" class="secondary">Clear</button>
+      </div>
+      ${this.pendingFiles.map(f => `<div class="import-file-name">${escapeHtml(f.webkitRelativePath || f.name)}</div>`).join('')}
+    `;
+    document.getElementById('importClearFilesBtn').addEventListener('click', () => {
+      this.pendingFiles = [];
+      this.renderFileList();
     });
   }
-}
\ No newline at end of file
+
+  async readFile(file) {
+    const name = file.webkitRelativePath || file.name;
+    if (/\.zip$/i.test(name)) {
+      const bytes = new Uint8Array(await file.arrayBuffer());
+      let binary = '';
+      for (let i = 0; i < bytes.length; i += 0x8000) {
+        binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+      }
+      return { name, encoding: 'base64', content: btoa(binary) };
+    }
+    return { name, encoding: 'utf8', content: await file.text() };
+  }
+
+  async importPendingFiles(passkey, pastedText = '') {
+    const statusDiv = document.getElementById('importStatus');
+    statusDiv.innerHTML = '<div class="status-message status-info">⏳ Importing...</div>';
+
+    try {
+      const files = await Promise.all(this.pendingFiles.map(f => this.readFile(f)));
+      if (pastedText) {
+        files.push({ name: 'pasted', encoding: 'utf8', content: pastedText });
+      }
+      const sdaPasskey = document.getElementById('importSdaPasskey').value || null;
+      const steamid = document.getElementById('importSteamId').value.trim() || null;
+      const result = await this.app.importFiles(files, passkey, sdaPasskey, steamid);
+      const sdaGroup = document.getElementById('importSdaPasskeyGroup');
+      const steamIdGroup = document.getElementById('importSteamIdGroup');
+      sdaGroup.style.display = result.needsPasskey ? 'block' : 'none';
+      steamIdGroup.style.display = result.needsSteamId ? 'block' : 'none';
+      if (result.needsPasskey) {
+        document.getElementById('importSdaPasskey').focus();
+      } else if (result.needsSteamId) {
+        document.getElementById('importSteamId').focus();
+      } else {
+        document.getElementById('importSdaPasskey').value = '';
+        document.getElementById('importSteamId').value = '';
+        document.getElementById('maFileInput').value = '';
+        this.pendingFiles = [];
+        this.renderFileList();
+      }
+      const { summary } = result;
+      statusDiv.innerHTML = `
+        <div class="status-message ${summary.failed ? 'status-warning' : 'status-success'}">
+          ${summary.imported} imported, ${summary.updated} updated, ${summary.duplicate} duplicate, ${summary.failed} failed
+        </div>
+      `;
+      this.renderReport(result.report);
+    } catch (error) {
+      statusDiv.innerHTML = `<div class="status-message status-error">❌ ${escapeHtml(error.message)}</div>`;
+    }
+  }
+
+  renderReport(report) {
+    const container = document.getElementById('importReport');
+    container.innerHTML = `
+      <div class="import-report">
+        ${report.map(row => `
+          <div class="import-report-row import-report-row--${row.status}">
+            <span class="import-report-status">${escapeHtml(row.status)}</span>
+            <span class="import-report-file" title="${escapeHtml(row.file)}">${escapeHtml(row.account_name || row.file)}</span>
+            <span class="import-report-reason">${escapeHtml(row.reason || row.steamid || '')}</span>
+          </div>
+          ${(row.warnings || []).length && row.status !== 'failed' ? `
+          <div class="import-report-warnings">⚠️ ${row.warnings.map(escapeHtml).join('; ')}</div>` : ''}
+        `).join('')}
+      </div>
+    `;
+  }
+}
@@ -0,0 +1,63 @@
+// Wraps the /api/events stream. Handlers are registered per event type and
+// survive reconnects; 'status' reports whether the stream is connected.
+export class LiveEvents {
+  constructor() {
+    this.source = null;
+    this.handlers = new Map();
+    this.connected = false;
+  }
+
+  connect() {
+    if (this.source) return;
+    const source = new EventSource('/api/events');
+    this.source = source;
+    source.addEventListener('open', () => this.setConnected(true));
+    source.addEventListener('error', () => {
+      // A rejected reconnect (locked vault, signed out) closes the stream for good.
+      if (source.readyState === EventSource.CLOSED && this.source === source) this.source = null;
+      this.setConnected(false);
+    });
+    this.handlers.forEach((_, type) => this.listen(type));
+
+    source.addEventListener('vault-locked', () => {
+      this.close();
+      window.dispatchEvent(new CustomEvent('vault-locked'));
+    });
+    source.addEventListener('auth-required', () => {
+      this.close();
+      window.dispatchEvent(new CustomEvent('auth-required'));
+    });
+  }
+
+  close() {
+    if (this.source) {
+      this.source.close();
+      this.source = null;
+    }
+    this.setConnected(false);
+  }
+
+  on(type, handler) {
+    if (!this.handlers.has(type)) {
+      this.handlers.set(type, new Set());
+      if (this.source) this.listen(type);
+    }
+    this.handlers.get(type).add(handler);
+    return () => this.handlers.get(type).delete(handler);
+  }
+
+  listen(type) {
+    if (type === 'status') return;
+    this.source.addEventListener(type, e => this.emit(type, JSON.parse(e.data)));
+  }
+
+  emit(type, data) {
+    this.handlers.get(type)?.forEach(handler => handler(data));
+  }
+
+  setConnected(connected) {
+    if (this.connected === connected) return;
+    this.connected = connected;
+    this.emit('status', { connected });
+  }
+}
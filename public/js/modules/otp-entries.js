@@ -0,0 +1,187 @@
+import { APIClient } from './api.js';
+import { escapeHtml } from './ui-manager.js';
+
+// Non-Steam TOTP/HOTP secrets. Their codes show up in the Codes panel; Steam
+// features like confirmations and devices do not apply to them.
+export class OtpEntriesPanel {
+  constructor(app) {
+    this.app = app;
+    this.expanded = false;
+  }
+
+  async render(container) {
+    if (!container) return;
+    this.container = container;
+
+    let data;
+    try {
+      data = await APIClient.getOtpEntries();
+    } catch (error) {
+      console.error('[OTP] Failed to load:', error);
+      container.innerHTML = '';
+      return;
+    }
+    this.app.otpEntries = data.entries;
+
+    const inputStyle = 'width: 100%; padding: 8px; border: 1px solid var(--border-primary); border-radius: 4px; background: var(--bg-tertiary); color: var(--text-primary); margin-bottom: 8px;';
+    const rowStyle = 'display: flex; gap: 8px;';
+
+    container.innerHTML = `
+      <div class="collapsible-panel ${this.expanded ? 'expanded' : 'collapsed'}">
+        <div class="panel-header">
+          <div class="panel-header-title">
+            <span>🔐</span>
+            <span>Other 2FA Entries (${data.entries.length})</span>
+          </div>
+          <div class="panel-toggle">▼</div>
+        </div>
+        <div class="panel-content">
+          <div class="token-list">
+            ${data.entries.map(entry => this.renderEntry(entry)).join('') ||
+              '<div style="color: var(--text-secondary); font-size: 0.85rem;">No entries yet. Authenticator exports with TOTP/HOTP entries can also be imported above.</div>'}
+          </div>
+
+          <input type="text" id="otpUri" placeholder="otpauth://totp/Issuer:name?secret=..." style="${inputStyle}" />
+          <div style="text-align: center; color: var(--text-secondary); font-size: 0.8rem; margin-bottom: 8px;">or enter the details</div>
+          <div style="${rowStyle}">
+            <input type="text" id="otpIssuer" placeholder="Issuer (e.g. Mail)" style="${inputStyle}" />
+            <input type="text" id="otpName" placeholder="Account name" style="${inputStyle}" />
+          </div>
+          <input type="text" id="otpSecret" placeholder="Base32 secret" style="${inputStyle}" />
+          <div style="${rowStyle}">
+            <select id="otpType" style="${inputStyle}">
+              <option value="totp">TOTP</option>
+              <option value="hotp">HOTP</option>
+            </select>
+            <select id="otpAlgorithm" style="${inputStyle}">
+              ${data.algorithms.map(a => `<option value="${a}">${a}</option>`).join('')}
+            </select>
+            <select id="otpDigits" style="${inputStyle}">
+              ${[6, 7, 8].map(d => `<option value="${d}">${d} digits</option>`).join('')}
+            </select>
+            <input type="number" id="otpPeriod" min="1" max="300" value="30" title="Period in seconds (TOTP) or counter (HOTP)" style="${inputStyle}" />
+          </div>
+          <input type="text" id="otpGroups" placeholder="Groups (comma separated, optional)" style="${inputStyle}" />
+          <button id="otpAddBtn" style="width: 100%;">Add Entry</button>
+          <div id="otpStatus" style="margin-top: 10px;"></div>
+        </div>
+      </div>
+    `;
+
+    const header = container.querySelector('.panel-header');
+    const panel = container.querySelector('.collapsible-panel');
+    header.addEventListener('click', () => {
+      panel.classList.toggle('collapsed');
+      panel.classList.toggle('expanded');
+      this.expanded = panel.classList.contains('expanded');
+    });
+
+    const byId = id => data.entries.find(e => e.id === id);
+    container.querySelectorAll('.otp-rename-btn').forEach(btn => {
+      btn.addEventListener('click', () => this.rename(byId(btn.dataset.otpId)));
+    });
+    container.querySelectorAll('.otp-groups-btn').forEach(btn => {
+      btn.addEventListener('click', () => this.editGroups(byId(btn.dataset.otpId)));
+    });
+    container.querySelectorAll('.otp-remove-btn').forEach(btn => {
+      btn.addEventListener('click', () => this.remove(byId(btn.dataset.otpId)));
+    });
+    document.getElementById('otpType').addEventListener('change', e => {
+      document.getElementById('otpPeriod').value = e.target.value === 'hotp' ? 0 : 30;
+    });
+    document.getElementById('otpAddBtn').addEventListener('click', () => this.add());
+  }
+
+  renderEntry(entry) {
+    const title = [entry.issuer, entry.name].filter(Boolean).join(': ');
+    const timing = entry.type === 'totp' ? `${entry.period}s` : `counter ${entry.counter}`;
+    return `
+      <div class="mini-account-card">
+        <div class="mini-account-card-row">
+          <span class="mini-account-card-label">${escapeHtml(title)}</span>
+          <span>
+            <button class="secondary otp-rename-btn" data-otp-id="${entry.id}" title="Rename">✏️</button>
+            <button class="secondary otp-groups-btn" data-otp-id="${entry.id}" title="Edit groups">🏷️</button>
+            <button class="secondary otp-remove-btn" data-otp-id="${entry.id}" title="Delete">✕</button>
+          </span>
+        </div>
+        <div class="mini-account-card-row">
+          <span class="mini-account-card-label">${entry.type.toUpperCase()} · ${entry.algorithm} · ${entry.digits} digits · ${timing}</span>
+          <span class="mini-account-card-value">${entry.groups.length ? `🏷️ ${entry.groups.map(escapeHtml).join(', ')}` : ''}</span>
+        </div>
+      </div>
+    `;
+  }
+
+  async add() {
+    const statusDiv = document.getElementById('otpStatus');
+    const value = id => document.getElementById(id).value.trim();
+    const groups = value('otpGroups');
+    const type = value('otpType');
+    const entry = value('otpUri')
+      ? { uri: value('otpUri'), groups }
+      : {
+          type,
+          issuer: value('otpIssuer'),
+          name: value('otpName'),
+          secret: value('otpSecret'),
+          algorithm: value('otpAlgorithm'),
+          digits: Number(value('otpDigits')),
+          [type === 'hotp' ? 'counter' : 'period']: Number(value('otpPeriod')),
+          groups
+        };
+
+    if (!entry.uri && !entry.secret) {
+      statusDiv.innerHTML = '<div class="status-message status-error">Enter an otpauth:// URI or a secret</div>';
+      return;
+    }
+
+    try {
+      await APIClient.addOtpEntry(entry);
+      this.expanded = true;
+      this.app.ui.showSuccess('Entry added');
+      await this.app.loadAccounts();
+    } catch (error) {
+      statusDiv.innerHTML = `<div class="status-message status-error">❌ ${escapeHtml(error.message)}</div>`;
+    }
+  }
+
+  async rename(entry) {
+    const issuer = prompt('Issuer:', entry.issuer);
+    if (issuer === null) return;
+    const name = prompt('Account name:', entry.name);
+    if (name === null) return;
+    await this.update(entry, { issuer, name });
+  }
+
+  async editGroups(entry) {
+    const value = prompt(
+      `Groups for ${entry.issuer || entry.name} (comma separated, used to scope API tokens):`,
+      entry.groups.join(', ')
+    );
+    if (value === null) return;
+    await this.update(entry, { groups: value });
+  }
+
+  async update(entry, changes) {
+    try {
+      await APIClient.updateOtpEntry(entry.id, changes);
+      await this.app.loadAccounts();
+    } catch (error) {
+      this.app.ui.showError('Update failed: ' + (error.data?.error || error.message));
+    }
+  }
+
+  async remove(entry) {
+    const title = [entry.issuer, entry.name].filter(Boolean).join(': ');
+    if (!confirm(`Delete "${title}"? The secret is not kept anywhere else, so make sure 2FA is moved or disabled first.`)) return;
+
+    try {
+      await APIClient.removeOtpEntry(entry.id);
+      this.app.ui.showSuccess('Entry deleted');
+      await this.app.loadAccounts();
+    } catch (error) {
+      this.app.ui.showError('Delete failed: ' + (error.data?.error || error.message));
+    }
+  }
+}
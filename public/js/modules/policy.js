@@ -0,0 +1,175 @@
+import { APIClient } from './api.js';
+import { escapeHtml } from './ui-manager.js';
+
+const ACTION_LABELS = { accept: '✓ Accept', decline: '✕ Decline', hold: '⏸ Hold' };
+
+const EXAMPLE_RULES = [
+  {
+    name: 'Friends, CS items, no value loss',
+    action: 'accept',
+    match: { types: ['trade'], partners: ['76561198000000000'], appids: [730], maxValueLoss: 0 }
+  },
+  { name: 'Cheap listings', action: 'accept', match: { types: ['market'], maxPrice: 5 } }
+];
+
+// Rules are edited as JSON: a list of { name, action, enabled, match }. The
+// auto-confirm worker applies them; the dry run shows what it would do.
+export class PolicyPanel {
+  constructor(app) {
+    this.app = app;
+    this.expanded = false;
+    this.scope = '';
+  }
+
+  async render(container) {
+    if (!container) return;
+    this.container = container;
+
+    let data;
+    try {
+      data = await APIClient.getPolicy();
+    } catch (error) {
+      console.error('[Policy] Failed to load:', error);
+      container.innerHTML = '';
+      return;
+    }
+    this.policy = data;
+
+    const accounts = (this.app.accounts || []).filter(a => a.capabilities?.confirmations);
+    if (this.scope && !accounts.some(a => a.steamid === this.scope)) this.scope = '';
+    const ruleCount = data.global.length + Object.values(data.accounts).reduce((n, rules) => n + rules.length, 0);
+    const inputStyle = 'width: 100%; padding: 8px; border: 1px solid var(--border-primary); border-radius: 4px; background: var(--bg-tertiary); color: var(--text-primary); margin-bottom: 8px;';
+
+    container.innerHTML = `
+      <div class="collapsible-panel ${this.expanded ? 'expanded' : 'collapsed'}">
+        <div class="panel-header">
+          <div class="panel-header-title">
+            <span>📜</span>
+            <span>Confirmation Rules (${ruleCount})</span>
+          </div>
+          <div class="panel-toggle">▼</div>
+        </div>
+        <div class="panel-content">
+          <div style="color: var(--text-secondary); font-size: 0.85rem; margin-bottom: 10px;">
+            Account rules are checked before global ones and the first match decides: accept, decline or hold.
+            Without a match the auto-confirm flags apply. Conditions: types (${data.kinds.join(', ')}),
+            partners (SteamID64s), appids, maxGiveItems, maxReceiveItems, maxValueLoss, minPrice, maxPrice.
+          </div>
+          <select id="policyScope" style="${inputStyle}">
+            <option value="">🌐 Global rules</option>
+            ${accounts.map(a => `<option value="${a.steamid}" ${a.steamid === this.scope ? 'selected' : ''}>👤 ${escapeHtml(a.account_name)}</option>`).join('')}
+          </select>
+          <textarea id="policyRules" rows="12" spellcheck="false" class="policy-editor" style="${inputStyle}"></textarea>
+          <div style="display: flex; gap: 8px;">
+            <button id="policySaveBtn" style="flex: 1;">Save Rules</button>
+            <button id="policyExampleBtn" class="secondary">Example</button>
+          </div>
+          <div style="display: flex; gap: 8px; margin-top: 12px;">
+            <select id="policyTestAccount" style="${inputStyle} margin-bottom: 0; flex: 1;">
+              ${accounts.map(a => `<option value="${a.steamid}" ${a.steamid === this.scope ? 'selected' : ''}>${escapeHtml(a.account_name)}</option>`).join('')}
+            </select>
+            <button id="policyDryRunBtn" class="secondary" ${accounts.length ? '' : 'disabled'}>What Would Happen?</button>
+          </div>
+          <div id="policyStatus" style="margin-top: 10px;"></div>
+          <div id="policyResults"></div>
+        </div>
+      </div>
+    `;
+
+    const header = container.querySelector('.panel-header');
+    const panel = container.querySelector('.collapsible-panel');
+    header.addEventListener('click', () => {
+      panel.classList.toggle('collapsed');
+      panel.classList.toggle('expanded');
+      this.expanded = panel.classList.contains('expanded');
+    });
+
+    this.fillEditor();
+    document.getElementById('policyScope').addEventListener('change', e => {
+      this.scope = e.target.value;
+      if (this.scope) document.getElementById('policyTestAccount').value = this.scope;
+      this.fillEditor();
+    });
+    document.getElementById('policyExampleBtn').addEventListener('click', () => {
+      document.getElementById('policyRules').value = JSON.stringify(EXAMPLE_RULES, null, 2);
+    });
+    document.getElementById('policySaveBtn').addEventListener('click', () => this.save());
+    document.getElementById('policyDryRunBtn').addEventListener('click', () => this.dryRun());
+  }
+
+  fillEditor() {
+    const rules = this.scope ? this.policy.accounts[this.scope] || [] : this.policy.global;
+    document.getElementById('policyRules').value = JSON.stringify(rules, null, 2);
+    document.getElementById('policyStatus').innerHTML = '';
+    document.getElementById('policyResults').innerHTML = '';
+  }
+
+  readRules() {
+    try {
+      return JSON.parse(document.getElementById('policyRules').value || '[]');
+    } catch (error) {
+      document.getElementById('policyStatus').innerHTML = `<div class="status-message status-error">❌ Invalid JSON: ${escapeHtml(error.message)}</div>`;
+      return null;
+    }
+  }
+
+  async save() {
+    const rules = this.readRules();
+    if (!rules) return;
+    try {
+      await APIClient.savePolicyRules(this.scope || null, rules);
+      this.expanded = true;
+      await this.render(this.container);
+      document.getElementById('policyStatus').innerHTML = '<div class="status-message status-success">✓ Rules saved</div>';
+    } catch (error) {
+      document.getElementById('policyStatus').innerHTML = `<div class="status-message status-error">❌ ${escapeHtml(error.data?.message || error.message)}</div>`;
+    }
+  }
+
+  // Runs the rules in the editor, saved or not, against what is pending now.
+  async dryRun() {
+    const rules = this.readRules();
+    if (!rules) return;
+    const steamid = document.getElementById('policyTestAccount').value;
+    const statusDiv = document.getElementById('policyStatus');
+    const resultsDiv = document.getElementById('policyResults');
+    const override = !this.scope ? { global: rules } : this.scope === steamid ? { account: rules } : {};
+
+    statusDiv.innerHTML = '<div class="status-message status-info">⏳ Loading pending confirmations and their details...</div>';
+    resultsDiv.innerHTML = '';
+    try {
+      const { results } = await APIClient.dryRunPolicy(steamid, override);
+      statusDiv.innerHTML = results.length
+        ? '<div class="status-message status-info">Dry run only, nothing was accepted or declined</div>'
+        : '<div class="status-message status-info">No pending confirmations</div>';
+      resultsDiv.innerHTML = results.map(r => this.renderResult(r)).join('');
+    } catch (error) {
+      statusDiv.innerHTML = `<div class="status-message status-error">❌ ${escapeHtml(error.data?.message || error.message)}</div>`;
+    }
+  }
+
+  renderResult(result) {
+    let reason = 'No rule matched';
+    if (result.source === 'rule') reason = `Rule "${escapeHtml(result.rule.name)}" (${result.rule.scope})`;
+    if (result.source === 'flag') reason = 'No rule matched, auto-confirm flag is on';
+    // Rules checked before the deciding one, with the condition that failed.
+    const misses = result.rule ? result.trace.slice(0, result.trace.findIndex(t => !t.failed)) : result.trace;
+
+    return `
+      <div class="mini-account-card">
+        <div class="mini-account-card-row">
+          <span class="mini-account-card-label">${escapeHtml(result.headline || result.id)} <span style="color: var(--text-tertiary);">(${result.kind})</span></span>
+          <span class="policy-action policy-action-${result.action}">${ACTION_LABELS[result.action]}</span>
+        </div>
+        <div class="mini-account-card-row">
+          <span class="mini-account-card-value">${reason}</span>
+        </div>
+        ${misses.length ? `
+          <div class="policy-trace">
+            ${misses.map(t => `<div>${escapeHtml(t.name)}: ${escapeHtml(t.failed)}</div>`).join('')}
+          </div>
+        ` : ''}
+      </div>
+    `;
+  }
+}
@@ -1,3 +1,5 @@
+import { APIClient } from './api.js';
+
 export class SecurityPanel {
   constructor(ui) {
     this.ui = ui;
@@ -187,7 +189,7 @@ export class SecurityPanel {
     const steamid = account.steamid;
     const res = await fetch(`/api/security/${encodeURIComponent(steamid)}/devices/all`, {
       method: 'DELETE',
-      headers: { 'Accept': 'application/json' }
+      headers: { 'Accept': 'application/json', 'X-CSRF-Token': APIClient.csrfToken }
     });
 
     const data = await res.json().catch(() => ({}));
@@ -210,7 +212,7 @@ export class SecurityPanel {
       `/api/security/${encodeURIComponent(steamid)}/devices/${encodeURIComponent(deviceId)}`,
       {
         method: 'DELETE',
-        headers: { 'Accept': 'application/json' }
+        headers: { 'Accept': 'application/json', 'X-CSRF-Token': APIClient.csrfToken }
       }
     );
 
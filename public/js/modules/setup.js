@@ -335,7 +335,7 @@ export class SetupPanel {
         statusDiv.innerHTML = '<div class="status-message status-success">✓ Setup complete!</div>';
         codeInput.disabled = true;
         finalizeBtn.disabled = true;
-        this.showStep6(result.revocation_code);
+        this.showStep6(result.revocation_code, result.saveError ? result.maFile : null, result.saveError);
       } catch (error) {
         statusDiv.innerHTML = `<div class="status-message status-error">❌ ${error.message}</div>`;
         finalizeBtn.disabled = false;
@@ -347,7 +347,7 @@ export class SetupPanel {
     });
   }
 
-  showStep6(revocationCode) {
+  showStep6(revocationCode, unsavedMaFile = null, saveError = null) {
     this.currentStep = 6;
     const content = document.getElementById('setupContent');
     content.innerHTML = `
@@ -372,9 +372,16 @@ export class SetupPanel {
           </div>
         </div>
 
+        ${unsavedMaFile ? `
+        <div class="status-message status-error" style="margin-bottom: 15px;">
+          The maFile could not be saved (${saveError}). Download it now and import it later, it cannot be recovered otherwise.
+        </div>
+        <button id="downloadMaFileBtn" style="width: 100%; margin-bottom: 15px;">💾 Download maFile</button>
+        ` : `
         <p style="color: var(--text-secondary); font-size: 0.9rem; text-align: center;">
           Your account has been added and will appear in the accounts list. Refresh the page to see it.
         </p>
+        `}
 
         <button id="resetBtn" style="width: 100%;">Start New Setup</button>
       </div>
@@ -405,6 +412,18 @@ export class SetupPanel {
       document.body.removeChild(element);
     });
 
+    document.getElementById('downloadMaFileBtn')?.addEventListener('click', () => {
+      const element = document.createElement('a');
+      element.setAttribute('href', 'data:application/json;charset=utf-8,' + encodeURIComponent(
+        JSON.stringify(unsavedMaFile, null, 2)
+      ));
+      element.setAttribute('download', `${unsavedMaFile.steamid}.maFile`);
+      element.style.display = 'none';
+      document.body.appendChild(element);
+      element.click();
+      document.body.removeChild(element);
+    });
+
     resetBtn.addEventListener('click', () => {
       this.setupId = null;
       this.showStep1();
@@ -0,0 +1,107 @@
+import { APIClient } from './api.js';
+
+export class TimeStatusPanel {
+  constructor(app) {
+    this.app = app;
+    this.expanded = false;
+    this.warned = false;
+  }
+
+  async render(container) {
+    if (!container) return;
+    this.container = container;
+
+    let status;
+    try {
+      status = await APIClient.getTimeStatus();
+    } catch (error) {
+      console.error('[Time] Failed to load:', error);
+      container.innerHTML = '';
+      return;
+    }
+
+    const offset = `${status.offsetSeconds >= 0 ? '+' : ''}${status.offsetSeconds.toFixed(1)}s`;
+    let warning = '';
+    if (!status.aligned) {
+      warning = 'Could not reach any time source, codes use the local clock and may be rejected.';
+    } else if (status.driftWarning) {
+      warning = `The local clock is off by ${offset} (more than ${status.driftWarnSeconds}s). Codes are corrected, but fix the system time.`;
+    }
+    if (warning && !this.warned) {
+      this.warned = true;
+      this.expanded = true;
+      this.app.ui.showWarning(warning, 8000);
+    }
+
+    container.innerHTML = `
+      <div class="collapsible-panel ${this.expanded ? 'expanded' : 'collapsed'}">
+        <div class="panel-header">
+          <div class="panel-header-title">
+            <span>${warning ? '⚠️' : '🕒'}</span>
+            <span>Time Sync (${status.aligned ? `${offset} via ${status.source}` : 'not aligned'})</span>
+          </div>
+          <div class="panel-toggle">▼</div>
+        </div>
+        <div class="panel-content">
+          ${warning ? `<div class="status-message status-warning" style="margin-bottom: 10px;">${warning}</div>` : ''}
+          <div class="mini-account-card" style="margin-bottom: 8px;">
+            <div class="mini-account-card-row">
+              <span class="mini-account-card-label">Last sync</span>
+              <span class="mini-account-card-value">${status.lastSyncAt ? new Date(status.lastSyncAt).toLocaleString() : 'never'}</span>
+            </div>
+            <div class="mini-account-card-row">
+              <span class="mini-account-card-label">Failed attempts</span>
+              <span class="mini-account-card-value">${status.consecutiveFailures}</span>
+            </div>
+          </div>
+          <div class="time-source-list">
+            ${status.sources.map(source => this.renderSource(source, status.source)).join('')}
+          </div>
+          <button id="timeSyncBtn" class="secondary" style="width: 100%;">🔄 Check All Sources</button>
+        </div>
+      </div>
+    `;
+
+    const header = container.querySelector('.panel-header');
+    const panel = container.querySelector('.collapsible-panel');
+    header.addEventListener('click', () => {
+      panel.classList.toggle('collapsed');
+      panel.classList.toggle('expanded');
+      this.expanded = panel.classList.contains('expanded');
+    });
+    document.getElementById('timeSyncBtn').addEventListener('click', () => this.sync());
+  }
+
+  renderSource(source, activeSource) {
+    let result = 'not checked';
+    if (source.ok === false) result = `❌ ${source.error}`;
+    if (source.ok) {
+      const rtt = source.rttMs === null ? '' : `, rtt ${source.rttMs}ms`;
+      result = `${source.offsetSeconds >= 0 ? '+' : ''}${source.offsetSeconds.toFixed(1)}s${rtt}`;
+    }
+    return `
+      <div class="mini-account-card" style="margin-bottom: 8px;">
+        <div class="mini-account-card-row">
+          <span class="mini-account-card-label">${source.name === activeSource ? '✓ ' : ''}${source.name}</span>
+          <span class="mini-account-card-value">${result}</span>
+        </div>
+        <div class="mini-account-card-row">
+          <span class="mini-account-card-label time-source-target">${source.target}</span>
+        </div>
+      </div>
+    `;
+  }
+
+  async sync() {
+    const btn = document.getElementById('timeSyncBtn');
+    btn.disabled = true;
+    btn.textContent = 'Checking...';
+    try {
+      await APIClient.syncTime();
+    } catch (error) {
+      this.app.ui.showError('Time sync failed: ' + (error.data?.error || error.message));
+    }
+    this.warned = false;
+    await this.render(this.container);
+  }
+}
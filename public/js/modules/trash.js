@@ -0,0 +1,79 @@
+import { APIClient } from './api.js';
+import { escapeHtml } from './ui-manager.js';
+
+export class TrashPanel {
+  constructor(app) {
+    this.app = app;
+  }
+
+  async render(container) {
+    if (!container) return;
+
+    let data;
+    try {
+      data = await APIClient.getTrash();
+    } catch (error) {
+      console.error('[Trash] Failed to load:', error);
+      container.innerHTML = '';
+      return;
+    }
+
+    const items = data.items || [];
+    if (items.length === 0) {
+      container.innerHTML = '';
+      return;
+    }
+
+    container.innerHTML = `
+      <div class="collapsible-panel collapsed">
+        <div class="panel-header">
+          <div class="panel-header-title">
+            <span>🗑️</span>
+            <span>Removed Accounts (${items.length})</span>
+          </div>
+          <div class="panel-toggle">▼</div>
+        </div>
+        <div class="panel-content">
+          <p style="color: var(--text-secondary); font-size: 0.85rem; margin-top: 0;">
+            ${data.retentionDays ? `Archived maFiles are purged after ${data.retentionDays} days.` : 'Archived maFiles are kept until removed manually.'}
+          </p>
+          <div class="trash-list">
+            ${items.map(item => `
+              <div class="mini-account-card" style="margin-bottom: 8px;">
+                <div class="mini-account-card-row">
+                  <span class="mini-account-card-label">${escapeHtml(item.account_name || 'Account')}</span>
+                  <span class="mini-account-card-value">${escapeHtml(item.steamid)}</span>
+                </div>
+                <div class="mini-account-card-row">
+                  <span class="mini-account-card-label">Removed ${new Date(item.deletedAt).toLocaleString()}</span>
+                  <button class="secondary trash-restore-btn" data-trash-id="${item.id}">↩ Restore</button>
+                </div>
+              </div>
+            `).join('')}
+          </div>
+        </div>
+      </div>
+    `;
+
+    const header = container.querySelector('.panel-header');
+    const panel = container.querySelector('.collapsible-panel');
+    header.addEventListener('click', () => {
+      panel.classList.toggle('collapsed');
+      panel.classList.toggle('expanded');
+    });
+
+    container.querySelectorAll('.trash-restore-btn').forEach(btn => {
+      btn.addEventListener('click', () => this.restore(btn.dataset.trashId));
+    });
+  }
+
+  async restore(trashId) {
+    try {
+      await APIClient.restoreAccount(trashId);
+      this.app.ui.showSuccess('Account restored');
+      await this.app.loadAccounts();
+    } catch (error) {
+      this.app.ui.showError('Restore failed: ' + (error.data?.error || error.message));
+    }
+  }
+}
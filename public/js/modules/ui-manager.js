@@ -1,3 +1,15 @@
+// Names and messages from maFiles, OTP imports and Steam (a trade headline is
+// the partner's persona name) are escaped before going into innerHTML.
+export function escapeHtml(str) {
+  if (str == null) return '';
+  return String(str)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#039;');
+}
+
 
 export class UIManager {
   showToast(message, type = 'info', duration = 3000) {
@@ -0,0 +1,89 @@
+import { APIClient } from './api.js';
+
+export class VaultLockScreen {
+  constructor(ui) {
+    this.ui = ui;
+  }
+
+  render(container, onUnlocked) {
+    container.innerHTML = `
+      <div class="app-layout">
+        <div class="layout-header">
+          <h1>🔐 Steam Guard</h1>
+          <div class="subtitle">Authenticator Manager</div>
+        </div>
+
+        <div class="main-content">
+          <div class="collapsible-panel expanded">
+            <div class="panel-header">
+              <div class="panel-header-title">
+                <span>🔒</span>
+                <span>Vault Locked</span>
+              </div>
+            </div>
+            <div class="panel-content">
+              <div style="padding: 20px; background: linear-gradient(135deg, var(--bg-accent) 0%, var(--bg-secondary) 100%); border: 2px solid var(--color-primary); border-radius: 8px;">
+                <p style="margin: 0 0 15px 0; font-size: 0.95rem; color: var(--text-secondary);">
+                  Your maFiles are encrypted. Enter the vault passkey to unlock them:
+                </p>
+
+                <input
+                  type="password"
+                  id="vaultPasskey"
+                  placeholder="Vault passkey"
+                  autocomplete="off"
+                  style="width: 100%; padding: 10px; border: 1px solid var(--border-primary); border-radius: 4px; background: var(--bg-secondary); color: var(--text-primary); font-size: 0.95rem; margin-bottom: 12px;"
+                />
+
+                <button
+                  id="vaultUnlockBtn"
+                  style="width: 100%; padding: 12px; background: var(--color-primary); color: white; border: none; border-radius: 4px; cursor: pointer; font-weight: 600;"
+                >
+                  🔓 Unlock Vault
+                </button>
+
+                <div id="vaultUnlockStatus" style="margin-top: 12px;"></div>
+
+                <p style="margin: 15px 0 0 0; font-size: 0.75rem; color: var(--text-tertiary); text-align: center; border-top: 1px solid var(--border-primary); padding-top: 12px;">
+                  The vault locks itself again after a period of inactivity
+                </p>
+              </div>
+            </div>
+          </div>
+        </div>
+      </div>
+    `;
+
+    const unlockBtn = document.getElementById('vaultUnlockBtn');
+    const passkeyInput = document.getElementById('vaultPasskey');
+    const statusDiv = document.getElementById('vaultUnlockStatus');
+
+    const handleUnlock = async () => {
+      const passkey = passkeyInput.value;
+      if (!passkey) {
+        statusDiv.innerHTML = '<div class="status-message status-error">Passkey required</div>';
+        return;
+      }
+
+      unlockBtn.disabled = true;
+      statusDiv.innerHTML = '<div class="status-message status-info">⏳ Unlocking...</div>';
+
+      try {
+        await APIClient.unlockVault(passkey);
+        passkeyInput.value = '';
+        this.ui.showSuccess('Vault unlocked');
+        await onUnlocked();
+      } catch (error) {
+        const message = error.message === 'BAD_PASSKEY' ? 'Wrong passkey' : error.message;
+        statusDiv.innerHTML = `<div class="status-message status-error">❌ ${message}</div>`;
+        unlockBtn.disabled = false;
+      }
+    };
+
+    unlockBtn.addEventListener('click', handleUnlock);
+    passkeyInput.addEventListener('keypress', e => {
+      if (e.key === 'Enter') handleUnlock();
+    });
+    passkeyInput.focus();
+  }
+}
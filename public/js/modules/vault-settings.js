@@ -0,0 +1,80 @@
+import { APIClient } from './api.js';
+
+export class VaultSettingsPanel {
+  constructor(app) {
+    this.app = app;
+  }
+
+  render(container) {
+    const encrypted = !!this.app.vaultStatus?.encrypted;
+    const inputStyle = 'width: 100%; padding: 8px; border: 1px solid var(--border-primary); border-radius: 4px; background: var(--bg-tertiary); color: var(--text-primary); margin-bottom: 8px;';
+
+    container.innerHTML = `
+      <div class="collapsible-panel collapsed">
+        <div class="panel-header">
+          <div class="panel-header-title">
+            <span>🗝️</span>
+            <span>Vault Passkey</span>
+          </div>
+          <div class="panel-toggle">▼</div>
+        </div>
+        <div class="panel-content">
+          <p style="color: var(--text-secondary); font-size: 0.9rem; margin-top: 0;">
+            ${encrypted
+              ? 'maFiles are encrypted. Change the passkey or decrypt the vault back to plaintext.'
+              : 'maFiles are stored as plaintext. Set a passkey to encrypt them.'}
+          </p>
+          ${encrypted ? `<input type="password" id="vaultCurrentPasskey" placeholder="Current passkey" autocomplete="off" style="${inputStyle}" />` : ''}
+          <input type="password" id="vaultNewPasskey" placeholder="New passkey" autocomplete="new-password" style="${inputStyle}" />
+          <input type="password" id="vaultConfirmPasskey" placeholder="Confirm new passkey" autocomplete="new-password" style="${inputStyle}" />
+          <button id="vaultChangeBtn" style="width: 100%;">${encrypted ? 'Change Passkey' : 'Encrypt Vault'}</button>
+          ${encrypted ? '<button id="vaultDecryptBtn" class="secondary" style="width: 100%; margin-top: 8px;">Remove Encryption</button>' : ''}
+          <div id="vaultSettingsStatus" style="margin-top: 10px;"></div>
+        </div>
+      </div>
+    `;
+
+    const header = container.querySelector('.panel-header');
+    const panel = container.querySelector('.collapsible-panel');
+    header.addEventListener('click', () => {
+      panel.classList.toggle('collapsed');
+      panel.classList.toggle('expanded');
+    });
+
+    document.getElementById('vaultChangeBtn').addEventListener('click', () => this.changePasskey(false));
+    document.getElementById('vaultDecryptBtn')?.addEventListener('click', () => this.changePasskey(true));
+  }
+
+  async changePasskey(decrypt) {
+    const statusDiv = document.getElementById('vaultSettingsStatus');
+    const currentPasskey = document.getElementById('vaultCurrentPasskey')?.value || null;
+    const newPasskey = document.getElementById('vaultNewPasskey').value;
+    const confirmPasskey = document.getElementById('vaultConfirmPasskey').value;
+
+    if (!decrypt) {
+      if (!newPasskey) {
+        statusDiv.innerHTML = '<div class="status-message status-error">New passkey required</div>';
+        return;
+      }
+      if (newPasskey !== confirmPasskey) {
+        statusDiv.innerHTML = '<div class="status-message status-error">Passkeys do not match</div>';
+        return;
+      }
+    } else if (!confirm('Decrypt every maFile and store them as plaintext?')) {
+      return;
+    }
+
+    statusDiv.innerHTML = '<div class="status-message status-info">⏳ Re-encrypting maFiles...</div>';
+
+    try {
+      await APIClient.changeVaultPasskey(currentPasskey, decrypt ? null : newPasskey, decrypt);
+      this.app.ui.showSuccess(decrypt ? 'Vault decrypted' : 'Vault passkey updated');
+      this.app.vaultStatus = await APIClient.getVaultStatus();
+      this.app.renderLayout();
+      await this.app.loadAccounts();
+    } catch (error) {
+      const message = error.message === 'BAD_PASSKEY' ? 'Wrong current passkey' : error.message;
+      statusDiv.innerHTML = `<div class="status-message status-error">❌ ${message}</div>`;
+    }
+  }
+}
@@ -0,0 +1,146 @@
+const crypto = require('crypto');
+const {
+  loadTokenStore,
+  updateTokenStore,
+  normalizeGroups,
+  getAccountGroups
+} = require('./storage');
+
+const TOKEN_PREFIX = 'swa_';
+const TOKEN_SCOPES = ['codes', 'confirmations:read', 'confirmations:act', 'security', 'export'];
+const USAGE_FLUSH_MS = 5 * 1000;
+
+let pendingUsage = new Map();
+let flushTimer = null;
+
+function tokenError(code) {
+  const err = new Error(code);
+  err.code = code;
+  return err;
+}
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function toPublicToken(record) {
+  const { hash, ...rest } = record;
+  const usage = pendingUsage.get(record.id);
+  return usage ? { ...rest, ...usage, useCount: record.useCount + usage.useCount } : rest;
+}
+
+function listTokens() {
+  return loadTokenStore().tokens.map(toPublicToken);
+}
+
+async function createToken({ name, scopes, accounts, groups, expiresInDays }) {
+  if (!name || !String(name).trim()) throw tokenError('TOKEN_NAME_REQUIRED');
+  if (!Array.isArray(scopes)) throw tokenError('INVALID_SCOPES');
+  const scopeList = [...new Set(scopes)];
+  if (scopeList.length === 0 || scopeList.some(s => !TOKEN_SCOPES.includes(s))) {
+    throw tokenError('INVALID_SCOPES');
+  }
+  if (accounts != null && !Array.isArray(accounts)) throw tokenError('INVALID_ACCOUNTS');
+  const days = Number(expiresInDays || 0);
+  if (!Number.isFinite(days) || days < 0) throw tokenError('INVALID_EXPIRY');
+
+  const id = crypto.randomBytes(6).toString('hex');
+  const token = `${TOKEN_PREFIX}${id}_${crypto.randomBytes(24).toString('base64url')}`;
+  const record = {
+    id,
+    name: String(name).trim(),
+    hash: hashToken(token),
+    scopes: scopeList,
+    accounts: (accounts || []).map(String),
+    groups: normalizeGroups(groups),
+    createdAt: new Date().toISOString(),
+    expiresAt: days ? new Date(Date.now() + days * 24 * 60 * 60 * 1000).toISOString() : null,
+    lastUsedAt: null,
+    lastUsedIp: null,
+    lastUsedRoute: null,
+    useCount: 0
+  };
+  await updateTokenStore(store => store.tokens.push(record));
+  console.log(`[Tokens] Created token ${id} (${record.name}) with scopes ${scopeList.join(', ')}`);
+  return { token, record: toPublicToken(record) };
+}
+
+async function revokeToken(id) {
+  await updateTokenStore(store => {
+    const index = store.tokens.findIndex(t => t.id === id);
+    if (index === -1) throw tokenError('TOKEN_NOT_FOUND');
+    store.tokens.splice(index, 1);
+  });
+  pendingUsage.delete(id);
+  console.log(`[Tokens] Revoked token ${id}`);
+}
+
+function authenticateToken(token) {
+  if (!token || !token.startsWith(TOKEN_PREFIX)) throw tokenError('TOKEN_INVALID');
+  const hash = Buffer.from(hashToken(token), 'hex');
+  const record = loadTokenStore().tokens.find(t =>
+    crypto.timingSafeEqual(Buffer.from(t.hash, 'hex'), hash)
+  );
+  if (!record) throw tokenError('TOKEN_INVALID');
+  if (record.expiresAt && Date.parse(record.expiresAt) <= Date.now()) throw tokenError('TOKEN_EXPIRED');
+  return record;
+}
+
+// A token without accounts or groups covers every account.
+function tokenAllowsAccount(record, steamid) {
+  if (record.accounts.length === 0 && record.groups.length === 0) return true;
+  if (record.accounts.includes(String(steamid))) return true;
+  const accountGroups = getAccountGroups()[String(steamid)] || [];
+  return record.groups.some(g => accountGroups.includes(g));
+}
+
+// Generic OTP entries have no SteamID, so only group restrictions apply.
+function tokenAllowsOtpEntry(record, entry) {
+  if (record.accounts.length === 0 && record.groups.length === 0) return true;
+  return record.groups.some(g => (entry.groups || []).includes(g));
+}
+
+// Usage is collected in memory and written in batches, so a bot polling
+// codes every few seconds does not rewrite tokens.json on every request.
+function recordUsage(record, req) {
+  const usage = pendingUsage.get(record.id) || { useCount: 0 };
+  usage.useCount++;
+  usage.lastUsedAt = new Date().toISOString();
+  usage.lastUsedIp = req.socket.remoteAddress || null;
+  usage.lastUsedRoute = `${req.method} ${req.baseUrl}${req.path}`;
+  pendingUsage.set(record.id, usage);
+  if (!flushTimer) {
+    flushTimer = setTimeout(() => {
+      flushUsage().catch(err => console.error('[Tokens] Failed to record usage:', err.message));
+    }, USAGE_FLUSH_MS);
+    flushTimer.unref();
+  }
+}
+
+async function flushUsage() {
+  if (flushTimer) {
+    clearTimeout(flushTimer);
+    flushTimer = null;
+  }
+  if (pendingUsage.size === 0) return;
+  const usage = pendingUsage;
+  pendingUsage = new Map();
+  await updateTokenStore(store => {
+    for (const record of store.tokens) {
+      const pending = usage.get(record.id);
+      if (!pending) continue;
+      Object.assign(record, pending, { useCount: (record.useCount || 0) + pending.useCount });
+    }
+  });
+}
+
+module.exports = {
+  TOKEN_SCOPES,
+  listTokens,
+  createToken,
+  revokeToken,
+  authenticateToken,
+  tokenAllowsAccount,
+  tokenAllowsOtpEntry,
+  recordUsage
+};
@@ -0,0 +1,153 @@
+const crypto = require('crypto');
+const { loadAuthConfig, saveAuthConfig } = require('./storage');
+const { getConfig } = require('./config');
+
+const SESSION_COOKIE = 'swa_session';
+const SESSION_IDLE_MS = getConfig().authSessionIdleHours * 60 * 60 * 1000;
+const SESSION_MAX_AGE_MS = 7 * 24 * 60 * 60 * 1000;
+const SCRYPT_PARAMS = { N: 16384, r: 8, p: 1, keylen: 64 };
+const MIN_PASSWORD_LENGTH = 8;
+const MAX_FAILED_LOGINS = 5;
+const LOGIN_LOCKOUT_MS = 30 * 1000;
+
+// Sessions only live in memory, a restart logs everyone out.
+const sessions = new Map();
+let failedLogins = 0;
+let lockedUntil = 0;
+
+function authError(code) {
+  const err = new Error(code);
+  err.code = code;
+  return err;
+}
+
+function scrypt(password, salt, params) {
+  return new Promise((resolve, reject) => {
+    crypto.scrypt(
+      password,
+      Buffer.from(salt, 'base64'),
+      params.keylen,
+      { N: params.N, r: params.r, p: params.p },
+      (err, key) => (err ? reject(err) : resolve(key))
+    );
+  });
+}
+
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(16).toString('base64');
+  const hash = await scrypt(password, salt, SCRYPT_PARAMS);
+  return { algorithm: 'scrypt', params: SCRYPT_PARAMS, salt, hash: hash.toString('base64') };
+}
+
+function isConfigured() {
+  const config = loadAuthConfig();
+  return !!(config && config.hash);
+}
+
+async function verifyPassword(password) {
+  const config = loadAuthConfig();
+  if (!config || !config.hash || !password) return false;
+  const expected = Buffer.from(config.hash, 'base64');
+  const actual = await scrypt(String(password), config.salt, config.params);
+  return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+}
+
+function validateNewPassword(password) {
+  if (!password || String(password).length < MIN_PASSWORD_LENGTH) {
+    throw authError('PASSWORD_TOO_SHORT');
+  }
+}
+
+async function setupPassword(password) {
+  if (isConfigured()) throw authError('ALREADY_CONFIGURED');
+  validateNewPassword(password);
+  await saveAuthConfig({ ...(await hashPassword(String(password))), createdAt: new Date().toISOString() });
+  console.log('[Auth] Admin password created');
+}
+
+async function changePassword(currentPassword, newPassword, keepSessionId) {
+  if (!(await verifyPassword(currentPassword))) throw authError('BAD_PASSWORD');
+  validateNewPassword(newPassword);
+  await saveAuthConfig({ ...(await hashPassword(String(newPassword))), createdAt: new Date().toISOString() });
+  for (const id of sessions.keys()) {
+    if (id !== keepSessionId) sessions.delete(id);
+  }
+  console.log('[Auth] Admin password changed, other sessions signed out');
+}
+
+async function login(password) {
+  if (Date.now() < lockedUntil) throw authError('TOO_MANY_ATTEMPTS');
+  if (!(await verifyPassword(password))) {
+    failedLogins++;
+    if (failedLogins >= MAX_FAILED_LOGINS) {
+      failedLogins = 0;
+      lockedUntil = Date.now() + LOGIN_LOCKOUT_MS;
+      console.warn(`[Auth] Too many failed logins, locked for ${LOGIN_LOCKOUT_MS / 1000}s`);
+    }
+    throw authError('BAD_PASSWORD');
+  }
+  failedLogins = 0;
+  return createSession();
+}
+
+function createSession() {
+  const session = {
+    id: crypto.randomBytes(32).toString('base64url'),
+    csrfToken: crypto.randomBytes(32).toString('base64url'),
+    createdAt: Date.now(),
+    lastSeenAt: Date.now()
+  };
+  sessions.set(session.id, session);
+  return session;
+}
+
+function getSession(id) {
+  const session = id && sessions.get(id);
+  if (!session) return null;
+  const now = Date.now();
+  if (now - session.lastSeenAt > SESSION_IDLE_MS || now - session.createdAt > SESSION_MAX_AGE_MS) {
+    sessions.delete(id);
+    return null;
+  }
+  session.lastSeenAt = now;
+  return session;
+}
+
+// Same checks as getSession without counting as activity, for long-lived
+// streams that must not keep an idle login alive.
+function isSessionActive(id) {
+  const session = id && sessions.get(id);
+  if (!session) return false;
+  const now = Date.now();
+  return now - session.lastSeenAt <= SESSION_IDLE_MS && now - session.createdAt <= SESSION_MAX_AGE_MS;
+}
+
+function destroySession(id) {
+  sessions.delete(id);
+}
+
+function readSessionCookie(req) {
+  const header = req.get('Cookie') || '';
+  for (const part of header.split(';')) {
+    const [name, ...rest] = part.trim().split('=');
+    if (name === SESSION_COOKIE) return decodeURIComponent(rest.join('='));
+  }
+  return null;
+}
+
+function sessionCookie(session) {
+  const maxAge = session ? Math.floor(SESSION_MAX_AGE_MS / 1000) : 0;
+  return `${SESSION_COOKIE}=${session ? session.id : ''}; Path=/; HttpOnly; SameSite=Strict; Max-Age=${maxAge}`;
+}
+
+module.exports = {
+  isConfigured,
+  setupPassword,
+  changePassword,
+  login,
+  getSession,
+  isSessionActive,
+  destroySession,
+  readSessionCookie,
+  sessionCookie
+};
@@ -0,0 +1,214 @@
+const { getConfig } = require('./config');
+const { loadAccounts, getSessionCookiesForAccount, loadPolicyStore } = require('./storage');
+const { fetchConfirmations, actOnConfirmations } = require('./confirmations');
+const { getRulesFor, getPolicyVersion, decideConfirmation } = require('./policy');
+const events = require('./events');
+
+const INTERVAL_SECONDS = getConfig().autoConfirmIntervalSeconds;
+const LOG_SIZE = 200;
+
+const accountState = new Map();
+const log = [];
+let timer = null;
+let running = false;
+let lastRunAt = null;
+let nextRunAt = null;
+let waitingForUnlock = false;
+
+function record(account, level, message) {
+  const entry = {
+    at: new Date().toISOString(),
+    steamid: account ? account.steamid : null,
+    account_name: account ? account.account_name : null,
+    level,
+    message
+  };
+  log.unshift(entry);
+  log.length = Math.min(log.length, LOG_SIZE);
+  const prefix = account ? `[AutoConfirm] ${account.account_name || account.steamid}:` : '[AutoConfirm]';
+  (level === 'error' ? console.error : level === 'warn' ? console.warn : console.log)(prefix, message);
+  events.publish('auto-confirm', entry, account ? { steamid: account.steamid, scope: 'confirmations:read' } : { scope: 'confirmations:read' });
+}
+
+function getState(steamid) {
+  if (!accountState.has(steamid)) {
+    accountState.set(steamid, {
+      paused: null,
+      lastCheckedAt: null,
+      lastError: null,
+      confirmed: 0,
+      declined: 0,
+      decisions: new Map(),
+      policyVersion: null
+    });
+  }
+  return accountState.get(steamid);
+}
+
+function sessionStamp(account) {
+  const session = getSessionCookiesForAccount(account.id);
+  return session ? session.lastRefreshed || session.createdAt || null : null;
+}
+
+// A paused account stays paused until its Steam session is replaced, e.g. by
+// logging in again from the UI.
+function isPaused(account, state) {
+  if (!state.paused) return false;
+  if (sessionStamp(account) === state.paused.sessionStamp) return true;
+  state.paused = null;
+  record(account, 'info', 'New session found, resuming');
+  return false;
+}
+
+function describe(c) {
+  return `${c.type_name || `type ${c.type}`}: ${c.headline || c.id}`;
+}
+
+function describeDecision(decision) {
+  if (decision.source === 'rule') return `rule "${decision.rule.name}"`;
+  return decision.source === 'flag' ? 'auto-confirm flag' : 'no rule matched';
+}
+
+// Policy decisions need the confirmation details, which cost several Steam
+// requests, so they are kept per confirmation until the rules or flags change.
+async function decide(account, state, c, rules) {
+  const version = getPolicyVersion();
+  if (state.policyVersion !== version) {
+    state.decisions.clear();
+    state.policyVersion = version;
+  }
+  const key = `${c.id}:${account.auto_confirm.trades}:${account.auto_confirm.market}`;
+  if (state.decisions.has(key)) return state.decisions.get(key);
+  const decision = await decideConfirmation(account, c, rules);
+  // Details that failed to load are retried on the next run.
+  if (!rules.length || decision.facts.detailsLoaded) state.decisions.set(key, decision);
+  if (decision.action === 'hold' && decision.source === 'rule') {
+    record(account, 'info', `Holding ${describe(c)} for review (${describeDecision(decision)})`);
+  }
+  return decision;
+}
+
+// Each confirmation is logged on its own; failed ones are still pending, so
+// the next run tries them again.
+async function act(account, state, op, decided) {
+  if (!decided.length) return;
+  const { results, loginRequired } = await actOnConfirmations(account, op, decided.map(d => d.c));
+  const verb = op === 'allow' ? 'Confirmed' : 'Declined';
+  decided.forEach(({ c, decision }, i) => {
+    const result = results[i];
+    if (result.success) {
+      if (op === 'allow') state.confirmed++;
+      else state.declined++;
+      record(account, 'info', `${verb} ${describe(c)} (${describeDecision(decision)})`);
+    } else if (result.error !== 'LOGIN_REQUIRED') {
+      record(account, 'error', `Could not ${op === 'allow' ? 'confirm' : 'decline'} ${describe(c)}: ${result.error}`);
+    }
+  });
+  if (loginRequired) throw new Error('LOGIN_REQUIRED');
+}
+
+async function checkAccount(account, state, rules) {
+  state.lastCheckedAt = new Date().toISOString();
+  try {
+    const { conf } = await fetchConfirmations(account);
+    const pending = new Set(conf.map(c => String(c.id)));
+    for (const key of state.decisions.keys()) {
+      if (!pending.has(key.split(':')[0])) state.decisions.delete(key);
+    }
+
+    const accept = [];
+    const decline = [];
+    for (const c of conf) {
+      const decision = await decide(account, state, c, rules);
+      if (decision.action === 'accept') accept.push({ c, decision });
+      if (decision.action === 'decline') decline.push({ c, decision });
+    }
+    state.lastError = null;
+
+    await act(account, state, 'allow', accept);
+    await act(account, state, 'cancel', decline);
+  } catch (err) {
+    state.lastError = err.message;
+    if (err.message === 'LOGIN_REQUIRED') {
+      state.paused = { at: new Date().toISOString(), reason: 'LOGIN_REQUIRED', sessionStamp: sessionStamp(account) };
+      events.publish('session-expired', { steamid: account.steamid }, { steamid: account.steamid });
+      record(account, 'warn', 'Steam session expired, paused until the account logs in again');
+      return;
+    }
+    record(account, 'error', `Check failed: ${err.message}`);
+  }
+}
+
+async function runAutoConfirm() {
+  if (running) return;
+  running = true;
+  try {
+    let accounts;
+    try {
+      accounts = loadAccounts();
+    } catch (err) {
+      if (err.code !== 'VAULT_LOCKED') throw err;
+      if (!waitingForUnlock) record(null, 'info', 'Vault is locked, waiting for unlock');
+      waitingForUnlock = true;
+      return;
+    }
+    waitingForUnlock = false;
+    lastRunAt = new Date().toISOString();
+
+    const policies = loadPolicyStore();
+    const rulesFor = new Map(accounts.map(a => [a.steamid, getRulesFor(a.steamid, policies)]));
+    const active = accounts.filter(a =>
+      a.identity_secret && (a.auto_confirm.trades || a.auto_confirm.market || rulesFor.get(a.steamid).length > 0)
+    );
+    for (const steamid of accountState.keys()) {
+      if (!active.some(a => a.steamid === steamid)) accountState.delete(steamid);
+    }
+    for (const account of active) {
+      const state = getState(account.steamid);
+      if (isPaused(account, state)) continue;
+      await checkAccount(account, state, rulesFor.get(account.steamid));
+    }
+  } catch (err) {
+    record(null, 'error', `Run failed: ${err.message}`);
+  } finally {
+    running = false;
+  }
+}
+
+function scheduleNext() {
+  nextRunAt = new Date(Date.now() + INTERVAL_SECONDS * 1000).toISOString();
+  timer = setTimeout(() => runAutoConfirm().then(scheduleNext), INTERVAL_SECONDS * 1000);
+  timer.unref();
+}
+
+function startAutoConfirm() {
+  if (timer || !INTERVAL_SECONDS) return;
+  console.log(`[AutoConfirm] Checking every ${INTERVAL_SECONDS}s`);
+  scheduleNext();
+}
+
+function getAutoConfirmStatus() {
+  const accounts = {};
+  for (const [steamid, state] of accountState) {
+    accounts[steamid] = {
+      paused: !!state.paused,
+      pausedAt: state.paused ? state.paused.at : null,
+      pauseReason: state.paused ? state.paused.reason : null,
+      lastCheckedAt: state.lastCheckedAt,
+      lastError: state.lastError,
+      confirmed: state.confirmed,
+      declined: state.declined
+    };
+  }
+  return {
+    enabled: INTERVAL_SECONDS > 0,
+    intervalSeconds: INTERVAL_SECONDS,
+    running,
+    lastRunAt,
+    nextRunAt: INTERVAL_SECONDS ? nextRunAt : null,
+    accounts,
+    log
+  };
+}
+
+module.exports = { startAutoConfirm, runAutoConfirm, getAutoConfirmStatus };
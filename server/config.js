@@ -0,0 +1,257 @@
+const fs = require('fs');
+const path = require('path');
+
+const LOG_LEVELS = ['debug', 'info', 'warn', 'error'];
+const TIME_SOURCES = ['steam', 'ntp', 'http', 'manual'];
+
+// Every setting with its default, environment variable and CLI flag.
+// Precedence: defaults < <dataDir>/config.json < environment < CLI flags.
+const SCHEMA = {
+  host: { type: 'string', default: '127.0.0.1', env: 'HOST', flag: 'host', description: 'Bind address' },
+  port: { type: 'integer', default: 3000, min: 1, max: 65535, env: 'PORT', flag: 'port', description: 'HTTP port' },
+  dataDir: {
+    type: 'path',
+    default: path.join(__dirname, '..', 'data'),
+    env: 'DATA_DIR',
+    flag: 'data-dir',
+    fileConfigurable: false,
+    description: 'Directory for maFiles, sessions and config.json'
+  },
+  proxy: { type: 'url', default: null, env: 'PROXY_URL', flag: 'proxy', description: 'HTTP(S) proxy for Steam requests' },
+  allowedOrigins: { type: 'list', default: [], env: 'ALLOWED_ORIGINS', flag: 'allowed-origins', description: 'Extra origins allowed to call the API' },
+  steamWebApiKey: { type: 'string', default: null, env: 'STEAM_WEB_API_KEY', flag: 'steam-web-api-key', secret: true, description: 'Steam Web API key for trade offer details' },
+  sessionExpiryDays: { type: 'integer', default: 30, min: 1, max: 365, env: 'SESSION_EXPIRY_DAYS', flag: 'session-expiry-days', description: 'Maximum age of a Steam web session' },
+  sessionIdleDays: { type: 'integer', default: 7, min: 1, max: 365, env: 'SESSION_IDLE_DAYS', flag: 'session-idle-days', description: 'Steam web session idle timeout' },
+  authSessionIdleHours: { type: 'integer', default: 12, min: 1, max: 24 * 30, env: 'AUTH_SESSION_IDLE_HOURS', flag: 'auth-session-idle-hours', description: 'Admin login idle timeout' },
+  vaultAutoLockMinutes: { type: 'integer', default: 15, min: 0, max: 24 * 60, env: 'VAULT_AUTO_LOCK_MINUTES', flag: 'vault-auto-lock-minutes', description: 'Vault idle auto-lock, 0 disables it' },
+  trashRetentionDays: { type: 'integer', default: 30, min: 0, max: 3650, env: 'TRASH_RETENTION_DAYS', flag: 'trash-retention-days', description: 'Days removed accounts are kept, 0 keeps them forever' },
+  timeSyncIntervalMinutes: { type: 'integer', default: 60, min: 1, max: 24 * 60, env: 'TIME_SYNC_INTERVAL_MINUTES', flag: 'time-sync-interval-minutes', description: 'How often the Steam time offset is re-measured' },
+  timeSources: { type: 'list', values: TIME_SOURCES, default: TIME_SOURCES, env: 'TIME_SOURCES', flag: 'time-sources', description: 'Time sources to try in order: steam, ntp, http, manual' },
+  steamTimeUrl: { type: 'url', default: 'https://api.steampowered.com/ITwoFactorService/QueryTime/v0001', env: 'STEAM_TIME_URL', flag: 'steam-time-url', description: 'Steam QueryTime endpoint' },
+  ntpServers: { type: 'list', default: ['time.google.com', 'pool.ntp.org'], env: 'NTP_SERVERS', flag: 'ntp-servers', description: 'SNTP servers as host or host:port' },
+  httpTimeUrl: { type: 'url', default: 'https://steamcommunity.com/', env: 'HTTP_TIME_URL', flag: 'http-time-url', description: 'URL whose Date header is used as a time source' },
+  manualTimeOffsetSeconds: { type: 'integer', default: null, min: -86400, max: 86400, env: 'MANUAL_TIME_OFFSET_SECONDS', flag: 'manual-time-offset-seconds', description: 'Offset used by the manual time source' },
+  timeDriftWarnSeconds: { type: 'integer', default: 10, min: 1, max: 3600, env: 'TIME_DRIFT_WARN_SECONDS', flag: 'time-drift-warn-seconds', description: 'Warn when the local clock is off by more than this' },
+  autoConfirmIntervalSeconds: { type: 'integer', default: 60, min: 0, max: 3600, env: 'AUTO_CONFIRM_INTERVAL_SECONDS', flag: 'auto-confirm-interval-seconds', description: 'How often accounts with auto-confirm enabled are checked, 0 disables the worker' },
+  codePollIntervalMs: { type: 'integer', default: 1000, min: 250, max: 60000, env: 'CODE_POLL_INTERVAL_MS', flag: 'code-poll-interval-ms', description: 'How often the UI polls codes while the live event stream is down' },
+  logLevel: { type: 'enum', values: LOG_LEVELS, default: 'info', env: 'LOG_LEVEL', flag: 'log-level', description: 'debug, info, warn or error' }
+};
+
+let current = null;
+
+function configError(details) {
+  const err = new Error(`Invalid configuration:\n  - ${details.join('\n  - ')}`);
+  err.code = 'INVALID_CONFIG';
+  err.details = details;
+  return err;
+}
+
+function parseValue(key, raw, source) {
+  const spec = SCHEMA[key];
+  const where = `${key} (${source})`;
+  if (raw === null || raw === undefined || raw === '') {
+    if (spec.type === 'list') return { value: [] };
+    if (spec.default !== null) return { error: `${where} cannot be empty` };
+    return { value: null };
+  }
+  switch (spec.type) {
+    case 'integer': {
+      const value = typeof raw === 'number' ? raw : Number(String(raw).trim());
+      if (!Number.isInteger(value)) return { error: `${where} must be an integer, got "${raw}"` };
+      if (value < spec.min || value > spec.max) {
+        return { error: `${where} must be between ${spec.min} and ${spec.max}, got ${value}` };
+      }
+      return { value };
+    }
+    case 'enum': {
+      const value = String(raw).toLowerCase();
+      if (!spec.values.includes(value)) return { error: `${where} must be one of ${spec.values.join(', ')}, got "${raw}"` };
+      return { value };
+    }
+    case 'url': {
+      try {
+        const url = new URL(String(raw));
+        if (!['http:', 'https:'].includes(url.protocol)) {
+          return { error: `${where} must be an http:// or https:// URL` };
+        }
+        return { value: url.toString() };
+      } catch {
+        return { error: `${where} is not a valid URL: "${raw}"` };
+      }
+    }
+    case 'list': {
+      const list = (Array.isArray(raw) ? raw : String(raw).split(',')).map(v => String(v).trim()).filter(Boolean);
+      const unknown = spec.values ? list.filter(v => !spec.values.includes(v)) : [];
+      if (unknown.length) return { error: `${where} only accepts ${spec.values.join(', ')}, got "${unknown.join(', ')}"` };
+      return { value: list };
+    }
+    case 'path':
+      return { value: path.resolve(String(raw)) };
+    default:
+      if (typeof raw !== 'string') return { error: `${where} must be a string` };
+      return { value: raw.trim() };
+  }
+}
+
+function parseFlags(argv) {
+  const flags = {};
+  const errors = [];
+  const byFlag = Object.fromEntries(Object.entries(SCHEMA).map(([key, spec]) => [spec.flag, key]));
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--help' || arg === '-h') {
+      flags.help = true;
+      continue;
+    }
+    const match = arg.match(/^--([a-z0-9-]+)(?:=(.*))?$/);
+    if (!match || !byFlag[match[1]]) {
+      errors.push(`Unknown command line option "${arg}"`);
+      continue;
+    }
+    let value = match[2];
+    if (value === undefined) {
+      value = argv[i + 1];
+      i++;
+      if (value === undefined) errors.push(`Option --${match[1]} needs a value`);
+    }
+    flags[byFlag[match[1]]] = value;
+  }
+  return { flags, errors };
+}
+
+function readConfigFile(dataDir, errors) {
+  const file = path.join(dataDir, 'config.json');
+  if (!fs.existsSync(file)) return { file, values: {} };
+  try {
+    const values = JSON.parse(fs.readFileSync(file, 'utf8'));
+    if (!values || typeof values !== 'object' || Array.isArray(values)) {
+      errors.push(`${file} must contain a JSON object`);
+      return { file, values: {} };
+    }
+    for (const key of Object.keys(values)) {
+      if (!SCHEMA[key]) errors.push(`Unknown setting "${key}" in ${file}`);
+      else if (SCHEMA[key].fileConfigurable === false) errors.push(`"${key}" cannot be set in ${file}, use the environment or a CLI flag`);
+    }
+    return { file, values };
+  } catch (err) {
+    errors.push(`${file} is not valid JSON: ${err.message}`);
+    return { file, values: {} };
+  }
+}
+
+function deepFreeze(value) {
+  if (value && typeof value === 'object') {
+    Object.values(value).forEach(deepFreeze);
+    Object.freeze(value);
+  }
+  return value;
+}
+
+function loadConfig(argv = [], env = {}) {
+  const { flags, errors } = parseFlags(argv);
+  const values = {};
+  const sources = {};
+
+  const apply = (key, raw, source) => {
+    const result = parseValue(key, raw, source);
+    if (result.error) {
+      errors.push(result.error);
+      return;
+    }
+    values[key] = result.value;
+    sources[key] = source;
+  };
+
+  // The data directory decides where config.json lives, so it is resolved first.
+  const resolveKey = (key, fileValues) => {
+    const spec = SCHEMA[key];
+    values[key] = spec.default;
+    sources[key] = 'default';
+    if (fileValues && Object.prototype.hasOwnProperty.call(fileValues, key)) apply(key, fileValues[key], 'config.json');
+    if (env[spec.env] !== undefined && env[spec.env] !== '') apply(key, env[spec.env], `env ${spec.env}`);
+    if (flags[key] !== undefined) apply(key, flags[key], `--${spec.flag}`);
+  };
+
+  resolveKey('dataDir', null);
+  const configFile = readConfigFile(values.dataDir, errors);
+  for (const key of Object.keys(SCHEMA)) {
+    if (key !== 'dataDir') resolveKey(key, SCHEMA[key].fileConfigurable === false ? null : configFile.values);
+  }
+
+  if (values.sessionIdleDays > values.sessionExpiryDays) {
+    errors.push(`sessionIdleDays (${values.sessionIdleDays}) cannot be longer than sessionExpiryDays (${values.sessionExpiryDays})`);
+  }
+
+  if (values.timeSources.length === 0) {
+    errors.push('timeSources needs at least one of steam, ntp, http, manual');
+  }
+
+  if (errors.length > 0) throw configError(errors);
+
+  return deepFreeze({ ...values, configFile: configFile.file, sources, help: !!flags.help });
+}
+
+function printHelp() {
+  console.log('Usage: node server/server.js [options]\n');
+  for (const [key, spec] of Object.entries(SCHEMA)) {
+    const def = Array.isArray(spec.default) ? spec.default.join(',') : spec.default;
+    console.log(`  --${spec.flag.padEnd(26)} ${spec.env.padEnd(24)} ${spec.description} (${key}, default: ${def ?? 'none'})`);
+  }
+  console.log('\nSettings can also be put in <dataDir>/config.json using the names in brackets.');
+}
+
+// Silences the console methods below the configured level. The codebase logs
+// informational messages with console.log, so that counts as "info".
+function applyLogLevel(level) {
+  const rank = LOG_LEVELS.indexOf(level);
+  const noop = () => {};
+  if (rank > 0) console.debug = noop;
+  if (rank > 1) console.log = console.info = noop;
+  if (rank > 2) console.warn = noop;
+}
+
+function getConfig() {
+  if (current) return current;
+  try {
+    current = loadConfig(process.argv.slice(2), process.env);
+  } catch (err) {
+    if (err.code !== 'INVALID_CONFIG') throw err;
+    console.error(`[Config] ${err.message}`);
+    process.exit(1);
+  }
+  if (current.help) {
+    printHelp();
+    process.exit(0);
+  }
+  applyLogLevel(current.logLevel);
+  return current;
+}
+
+function redact(spec, value) {
+  if (spec.secret) return value ? '(set)' : null;
+  if (spec.type === 'url' && value) {
+    const url = new URL(value);
+    if (url.username || url.password) {
+      url.username = '***';
+      url.password = '';
+    }
+    return url.toString();
+  }
+  return value;
+}
+
+// The read-only view served to the UI; secrets only report whether they are set.
+function getPublicConfig() {
+  const config = getConfig();
+  const settings = {};
+  for (const [key, spec] of Object.entries(SCHEMA)) {
+    settings[key] = {
+      value: redact(spec, config[key]),
+      source: config.sources[key],
+      description: spec.description
+    };
+  }
+  return { configFile: config.configFile, settings };
+}
+
+module.exports = { getConfig, getPublicConfig, loadConfig };
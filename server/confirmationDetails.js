@@ -7,8 +7,10 @@ const { alignTime } = require('./steamTime');
 const { generateConfirmationQueryParams } = require('./steamCrypto');
 const { getSessionCookieHeader } = require('./steamSession');
 const { fetchMarketPrice } = require('./market');
+const { getConfig } = require('./config');
+const { getConfirmationKind } = require('./confirmations');
 
-const STEAM_WEB_API_KEY = process.env.STEAM_WEB_API_KEY || null;
+const STEAM_WEB_API_KEY = getConfig().steamWebApiKey;
 
 const STEAM_HEADERS = {
   Accept: 'application/json, text/javascript; q=0.01',
@@ -152,6 +154,46 @@ async function enrichItemsWithMarket(account, items) {
   return items;
 }
 
+function parseItemNode($, node, side) {
+  const econ = node.attr('data-economy-item') || '';
+  const parts = econ.split('/');
+  let appid = null;
+  let classid = null;
+  let instanceid = '0';
+  if (parts[0] === 'classinfo') {
+    appid = parseInt(parts[1], 10) || null;
+    classid = parts[2] || null;
+    instanceid = parts[3] || '0';
+  }
+  const assetid = node.attr('data-assetid') || node.attr('data-id') || null;
+  const img = node.find('img').first();
+  let icon = img.attr('src') || null;
+  let scrapedName = node.attr('data-name') || img.attr('alt') || img.attr('title') || null;
+  if (!scrapedName) {
+    const clone = node.clone();
+    clone.children().remove();
+    const text = clone.text().trim();
+    if (text && text.length > 1) scrapedName = text;
+  }
+  const style = node.attr('style') || '';
+  const borderMatch = style.match(/border-color:\s*([^;]+)/i);
+  const bgMatch = style.match(/background-color:\s*([^;]+)/i);
+  return {
+    side,
+    appid,
+    appName: appid ? mapAppIdToName(appid) : null,
+    classid,
+    instanceid,
+    assetid,
+    icon,
+    borderColor: borderMatch ? borderMatch[1].trim() : null,
+    backgroundColor: bgMatch ? bgMatch[1].trim() : null,
+    name: scrapedName,
+    marketHashName: scrapedName,
+    price: null
+  };
+}
+
 function parseTradeHtml(html) {
   const $ = cheerio.load(html);
   const tradeArea = $('.mobileconf_trade_area');
@@ -159,64 +201,156 @@ function parseTradeHtml(html) {
   const partnerName = partnerBlock.find('.trade_partner_headline_sub a').text().trim() || null;
   const partnerProfileUrl = partnerBlock.find('.trade_partner_headline_sub a').attr('href') || null;
   const avatarImg = tradeArea.find('.tradeoffer_avatar img').first().attr('src') || null;
+  // Profile links may use a vanity name; the miniprofile id is the 32-bit account id.
+  const profileMatch = (partnerProfileUrl || '').match(/\/profiles\/(\d{17})/);
+  const miniprofile = tradeArea.find('[data-miniprofile]').first().attr('data-miniprofile');
+  const partnerSteamId = profileMatch
+    ? profileMatch[1]
+    : /^\d+$/.test(miniprofile || '') ? (BigInt(miniprofile) + 76561197960265728n).toString() : null;
   const warningText = tradeArea.find('div[style*="color: #7A7A7A"]').text().trim() || null;
-  const youGiveItems = [];
-  const youReceiveItems = [];
-  function parseItemList(root, targetArray, sideLabel) {
-    const items = root.find('.tradeoffer_item_list .trade_item');
-    items.each((_, el) => {
-      const node = $(el);
-      const econ = node.attr('data-economy-item') || '';
-      const parts = econ.split('/');
-      let appid = null;
-      let classid = null;
-      let instanceid = '0';
-      if (parts[0] === 'classinfo') {
-        appid = parseInt(parts[1], 10) || null;
-        classid = parts[2] || null;
-        instanceid = parts[3] || '0';
-      }
-      const assetid = node.attr('data-assetid') || node.attr('data-id') || null;
-      const img = node.find('img').first();
-      let icon = img.attr('src') || null;
-      let scrapedName = node.attr('data-name') || img.attr('alt') || img.attr('title') || null;
-      if (!scrapedName) {
-        const clone = node.clone();
-        clone.children().remove();
-        const text = clone.text().trim();
-        if (text && text.length > 1) scrapedName = text;
-      }
-      const style = node.attr('style') || '';
-      const borderMatch = style.match(/border-color:\s*([^;]+)/i);
-      const bgMatch = style.match(/background-color:\s*([^;]+)/i);
-      targetArray.push({
-        side: sideLabel,
-        appid,
-        appName: appid ? mapAppIdToName(appid) : null,
-        classid,
-        instanceid,
-        assetid,
-        icon,
-        borderColor: borderMatch ? borderMatch[1].trim() : null,
-        backgroundColor: bgMatch ? bgMatch[1].trim() : null,
-        name: scrapedName,
-        marketHashName: scrapedName,
-        price: null
-      });
-    });
-  }
-  const primary = tradeArea.find('.tradeoffer_items.primary').first();
-  const secondary = tradeArea.find('.tradeoffer_items.secondary').first();
-  parseItemList(primary, youGiveItems, 'you_give');
-  parseItemList(secondary, youReceiveItems, 'you_receive');
+  const parseItemList = (root, side) =>
+    root.find('.tradeoffer_item_list .trade_item').map((_, el) => parseItemNode($, $(el), side)).get();
+  const youGiveItems = parseItemList(tradeArea.find('.tradeoffer_items.primary').first(), 'you_give');
+  const youReceiveItems = parseItemList(tradeArea.find('.tradeoffer_items.secondary').first(), 'you_receive');
   return {
-    partner: { name: partnerName, profileUrl: partnerProfileUrl, avatar: avatarImg },
+    partner: { name: partnerName, steamid: partnerSteamId, profileUrl: partnerProfileUrl, avatar: avatarImg },
     youGiveItems,
     youReceiveItems,
     warningText
   };
 }
 
+// Handles both "$1,234.56" and "1.234,56€" (also space or ' grouping): a
+// separator followed by exactly three digits groups thousands, anything else
+// is the decimal mark.
+function parsePrice(text) {
+  if (!text) return null;
+  const match = String(text).match(/\d(?:[\d.,' \u00a0\u202f]*\d)?/);
+  if (!match) return null;
+  const digits = match[0].replace(/[' \u00a0\u202f]/g, '');
+  const value = parseFloat(digits.replace(/[.,](?=\d{3}(?!\d))/g, '').replace(',', '.'));
+  return Number.isFinite(value) ? value : null;
+}
+
+function money(text) {
+  return text ? { text, amount: parsePrice(text) } : null;
+}
+
+// Visible text of a details page, one entry per line or block element.
+function textLines($) {
+  $('script, style').remove();
+  $('br').replaceWith('\n');
+  $('div, p, li, tr, h1, h2, h3, h4').append('\n');
+  const lines = [];
+  for (const line of $.root().text().split('\n')) {
+    const text = line.replace(/\s+/g, ' ').trim();
+    if (text && text !== lines[lines.length - 1]) lines.push(text);
+  }
+  return lines;
+}
+
+// "Label: value" on one line, or the label alone with the value on the next.
+function findLabeled(lines, label) {
+  const index = lines.findIndex(line => label.test(line));
+  if (index === -1) return null;
+  const rest = lines[index].replace(label, '').replace(/^[\s:]+/, '').trim();
+  return rest || lines[index + 1] || null;
+}
+
+function parseWarning($) {
+  return $('[class*="warning"]').first().text().replace(/\s+/g, ' ').trim() || null;
+}
+
+function parseMarketHtml(html) {
+  const $ = cheerio.load(html);
+  const node = $('[data-economy-item]').first();
+  const item = node.length ? parseItemNode($, node, 'listing') : null;
+  const itemName = $('.market_listing_item_name, .mobileconf_listing_item_name').first().text().trim();
+  if (item && itemName) {
+    item.name = itemName;
+    item.marketHashName = itemName;
+  }
+  const warningText = parseWarning($);
+  const lines = textLines($);
+  return {
+    listing: {
+      item,
+      buyerPays: money(findLabeled(lines, /buyer pays/i)),
+      youReceive: money(findLabeled(lines, /you receive/i))
+    },
+    warningText,
+    description: lines
+  };
+}
+
+function parseApiKeyHtml(html) {
+  const $ = cheerio.load(html);
+  const warningText = parseWarning($);
+  const lines = textLines($);
+  const labeled = findLabeled(lines, /domain/i);
+  const domain = (labeled || lines.join(' ')).match(/\b(?:[a-z0-9-]+\.)+[a-z]{2,}\b/i);
+  return { apiKey: { domain: domain ? domain[0] : null }, warningText, description: lines };
+}
+
+function parsePhoneChangeHtml(html) {
+  const $ = cheerio.load(html);
+  const warningText = parseWarning($);
+  const lines = textLines($);
+  const text = lines.join(' ');
+  const number = text.match(/\+[\d\s*().-]{6,}[\d*]/);
+  const endingIn = text.match(/ending in\s+(\d{2,4})/i);
+  return {
+    phone: { number: number ? number[0].trim() : null, endingIn: endingIn ? endingIn[1] : null },
+    warningText,
+    description: lines
+  };
+}
+
+function parseAccountRecoveryHtml(html) {
+  const $ = cheerio.load(html);
+  const warningText = parseWarning($);
+  const lines = textLines($);
+  return {
+    recovery: {
+      ip: findLabeled(lines, /ip address/i),
+      location: findLabeled(lines, /location/i),
+      device: findLabeled(lines, /device/i)
+    },
+    warningText,
+    description: lines
+  };
+}
+
+function parsePurchaseHtml(html) {
+  const $ = cheerio.load(html);
+  const items = $('.cart_item, .cart_row, .mobileconf_purchase_item').map((_, el) => {
+    const row = $(el);
+    const priceText = row.find('[class*="price"]').first().text().trim();
+    const name = row.find('[class*="name"], [class*="desc"]').first().text().trim() ||
+      row.text().replace(priceText, '').replace(/\s+/g, ' ').trim();
+    return { name: name || null, icon: row.find('img').first().attr('src') || null, price: money(priceText) };
+  }).get();
+  const warningText = parseWarning($);
+  const lines = textLines($);
+  const giftRecipient = findLabeled(lines, /gift (?:for|to)|recipient/i);
+  return {
+    purchase: {
+      items,
+      total: money(findLabeled(lines, /^total/i)),
+      isGift: !!giftRecipient || lines.some(line => /\bgift\b/i.test(line)),
+      giftRecipient
+    },
+    warningText,
+    description: lines
+  };
+}
+
+function parseGenericHtml(html) {
+  const $ = cheerio.load(html);
+  const warningText = parseWarning($);
+  return { warningText, description: textLines($) };
+}
+
 async function fetchMobileConfDetails(account, payload) {
   await alignTime('Details');
   const cookie = getSessionCookieHeader(account);
@@ -251,42 +385,72 @@ async function fetchMobileConfDetails(account, payload) {
   return { html, type, creator, raw };
 }
 
+function itemValue(item) {
+  return parsePrice(item.price?.median || item.price?.lowest);
+}
+
+// Items whose price is missing or unreadable count as unpriced, not as 0.
+function sumPrices(items) {
+  return items.reduce((acc, i) => acc + (itemValue(i) ?? 0), 0);
+}
+
+const KIND_PARSERS = {
+  market: parseMarketHtml,
+  api_key: parseApiKeyHtml,
+  phone_change: parsePhoneChangeHtml,
+  account_recovery: parseAccountRecoveryHtml,
+  purchase: parsePurchaseHtml
+};
+
+// Every kind has kind, rawType, confirmationId, creatorId, warningText and
+// description (the page text by line), plus its own section: trade has
+// partner, youGiveItems, youReceiveItems and totals; market has listing;
+// api_key has apiKey; phone_change has phone; account_recovery has recovery;
+// purchase has purchase. `type` repeats the kind for older clients.
 async function getRichConfirmationDetails(account, opts) {
+  const raw = await fetchMobileConfDetails(account, opts);
+  let kind = getConfirmationKind(raw.type);
+  if (kind === 'unknown' && raw.html) {
+    if (raw.html.includes('mobileconf_trade_area') || raw.html.includes('tradeoffer')) kind = 'trade';
+    else if (raw.html.includes('mobileconf_listing')) kind = 'market';
+  }
   const base = {
-    type: 'generic',
+    kind,
+    type: kind,
+    rawType: raw.type !== undefined && raw.type !== null ? Number(raw.type) : null,
     confirmationId: String(opts.confirmationId || opts.id || ''),
-    creatorId: opts.creatorId,
-    html: null,
-    raw: null
+    creatorId: raw.creator || opts.creatorId || null,
+    warningText: null,
+    description: [],
+    html: raw.html || null,
+    raw: raw.raw
   };
-  const raw = await fetchMobileConfDetails(account, opts);
-  base.html = raw.html;
-  base.raw = raw.raw;
   if (!base.html) return base;
-  if (base.html.includes('mobileconf_trade_area') || base.html.includes('tradeoffer')) {
+
+  if (kind === 'trade') {
     const trade = parseTradeHtml(base.html);
     await enrichItemsWithMarket(account, trade.youGiveItems);
     await enrichItemsWithMarket(account, trade.youReceiveItems);
-    const sum = items =>
-      items.reduce((acc, i) => {
-        const p = i.price?.median || i.price?.lowest;
-        if (!p) return acc;
-        const val = parseFloat(p.replace(/[^\d.,]/g, '').replace(',', '.'));
-        return !isNaN(val) ? acc + val : acc;
-      }, 0);
+    const generic = parseGenericHtml(base.html);
     return {
       ...base,
-      type: 'trade',
+      description: generic.description,
+      warningText: trade.warningText || generic.warningText,
       partner: trade.partner,
       youGiveItems: trade.youGiveItems,
       youReceiveItems: trade.youReceiveItems,
       totals: {
-        giveValue: sum(trade.youGiveItems),
-        receiveValue: sum(trade.youReceiveItems)
+        giveValue: sumPrices(trade.youGiveItems),
+        receiveValue: sumPrices(trade.youReceiveItems),
+        unpricedGiveItems: trade.youGiveItems.filter(i => itemValue(i) === null).length,
+        unpricedReceiveItems: trade.youReceiveItems.filter(i => itemValue(i) === null).length
       }
     };
   }
-  return base;
+
+  const parsed = (KIND_PARSERS[kind] || parseGenericHtml)(base.html);
+  if (parsed.listing?.item) await enrichItemsWithMarket(account, [parsed.listing.item]);
+  return { ...base, ...parsed };
 }
 
-module.exports = { getRichConfirmationDetails };
+module.exports = { getRichConfirmationDetails, parsePrice };
@@ -4,6 +4,7 @@ const { getAgent } = require('./proxy');
 const { alignTime } = require('./steamTime');
 const { generateConfirmationQueryParams } = require('./steamCrypto');
 const { getSessionCookieHeader } = require('./steamSession');
+const events = require('./events');
 
 const STEAM_HEADERS = {
   Accept: 'application/json, text/javascript; q=0.01',
@@ -14,6 +15,45 @@ const STEAM_HEADERS = {
   Host: 'steamcommunity.com'
 };
 
+// Numeric `type` of mobileconf/getlist entries, by the names used in
+// policies and the UI.
+const CONFIRMATION_KINDS = {
+  1: 'generic',
+  2: 'trade',
+  3: 'market',
+  4: 'feature_opt_out',
+  5: 'phone_change',
+  6: 'account_recovery',
+  9: 'api_key',
+  11: 'family',
+  12: 'purchase'
+};
+
+function getConfirmationKind(type) {
+  return CONFIRMATION_KINDS[Number(type)] || 'unknown';
+}
+
+// Ids seen on the last fetch per account, so live clients only hear about
+// confirmations that were not there before.
+const seenConfirmations = new Map();
+
+function announceNewConfirmations(account, confirmations) {
+  const seen = seenConfirmations.get(account.steamid) || new Set();
+  const fresh = confirmations.filter(c => !seen.has(String(c.id)));
+  seenConfirmations.set(account.steamid, new Set(confirmations.map(c => String(c.id))));
+  if (fresh.length === 0) return;
+  events.publish(
+    'confirmations',
+    {
+      steamid: account.steamid,
+      account_name: account.account_name,
+      count: confirmations.length,
+      new: fresh.map(c => ({ id: c.id, type: c.type, kind: c.kind, headline: c.headline }))
+    },
+    { steamid: account.steamid, scope: 'confirmations:read' }
+  );
+}
+
 async function fetchConfirmations(account) {
   await alignTime('Confirmations');
   if (!account.identity_secret) {
@@ -49,8 +89,9 @@ async function fetchConfirmations(account) {
         return { conf: [] };
       }
     }
-    const confirmations = data.conf || [];
+    const confirmations = (data.conf || []).map(c => ({ ...c, kind: getConfirmationKind(c.type) }));
     console.log(`[Confirmations] ✓ Fetched ${confirmations.length} confirmations`);
+    announceNewConfirmations(account, confirmations);
     return { conf: confirmations };
   } catch (err) {
     console.error('[Confirmations] Fetch error:', err.message);
@@ -58,6 +99,81 @@ async function fetchConfirmations(account) {
   }
 }
 
+const BATCH_SIZE = 25;
+const MAX_ATTEMPTS = 3;
+const RETRY_DELAY_MS = 1000;
+
+function opError(message, retryable) {
+  const err = new Error(message);
+  err.retryable = retryable;
+  return err;
+}
+
+// One request to mobileconf/ajaxop (single item) or multiajaxop (cid[]/ck[]
+// pairs). Keys are time based, so every attempt signs the request again.
+async function postConfirmationOp(account, op, items) {
+  const cookie = getSessionCookieHeader(account);
+  const body = new URLSearchParams(generateConfirmationQueryParams(account, op));
+  body.set('op', op);
+  const endpoint = items.length === 1 ? 'ajaxop' : 'multiajaxop';
+  if (items.length === 1) {
+    body.set('cid', items[0].id);
+    body.set('ck', items[0].key);
+  } else {
+    for (const item of items) {
+      body.append('cid[]', item.id);
+      body.append('ck[]', item.key);
+    }
+  }
+  let res;
+  try {
+    res = await axios.post(`https://steamcommunity.com/mobileconf/${endpoint}`, body.toString(), {
+      headers: {
+        ...STEAM_HEADERS,
+        Cookie: cookie,
+        'Content-Type': 'application/x-www-form-urlencoded; charset=UTF-8'
+      },
+      httpAgent: getAgent(),
+      httpsAgent: getAgent(),
+      validateStatus: () => true,
+      timeout: 10000
+    });
+  } catch (err) {
+    throw opError(err.message, true);
+  }
+  if (res.status === 401 || res.status === 403) throw opError('LOGIN_REQUIRED', false);
+  if (res.status === 429 || res.status >= 500) throw opError(`HTTP ${res.status}`, true);
+  if (res.status !== 200) throw opError(`HTTP ${res.status}`, false);
+  let data = res.data;
+  if (typeof data === 'string') {
+    try {
+      data = JSON.parse(data);
+    } catch (e) {
+      console.log(`[Confirmations] Non-JSON ${endpoint} response, treating as processed`);
+      return;
+    }
+  }
+  if (data && (data.success === false || data.error)) {
+    throw opError(data.message || data.error || 'Steam rejected the confirmation', false);
+  }
+}
+
+async function withRetry(fn) {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await fn();
+    } catch (err) {
+      if (!err.retryable || attempt >= MAX_ATTEMPTS) throw err;
+      console.warn(`[Confirmations] Attempt ${attempt} failed (${err.message}), retrying`);
+      await new Promise(resolve => setTimeout(resolve, RETRY_DELAY_MS * attempt));
+    }
+  }
+}
+
+// Confirmations go out in multiajaxop batches. Steam answers a batch with a
+// single success flag, so a batch that keeps failing is retried item by item
+// to find out which confirmations it rejects. Item failures do not throw; the
+// result lists every confirmation with success, error and retryable.
 async function actOnConfirmations(account, op, confirmations) {
   await alignTime('Confirmations');
   if (!account.identity_secret) {
@@ -69,91 +185,70 @@ async function actOnConfirmations(account, op, confirmations) {
   if (!Array.isArray(confirmations) || confirmations.length === 0) {
     throw new Error('No confirmations provided');
   }
-  try {
-    const cookie = getSessionCookieHeader(account);
-    console.log(`[Confirmations] Acting on ${confirmations.length} confirmations with op: ${op}`);
-    console.log('[Confirmations] Confirmations data:', JSON.stringify(confirmations, null, 2));
-    const results = [];
-    for (let i = 0; i < confirmations.length; i++) {
-      const conf = confirmations[i];
-      const confId = conf.id || conf.confirmationId;
-      const confKey = conf.key || conf.nonce;
-      console.log(`[Confirmations] Processing conf ${i + 1}/${confirmations.length}: id=${confId}, key=${confKey}`);
-      if (!confId || !confKey) {
-        throw new Error(`Confirmation ${i} missing id (${confId}) or key (${confKey})`);
-      }
-      const baseParams = generateConfirmationQueryParams(account, op);
-      const body = new URLSearchParams(baseParams);
-      body.set('op', op);
-      body.set('cid', String(confId));
-      body.set('ck', String(confKey));
-      const url = 'https://steamcommunity.com/mobileconf/ajaxop';
-      console.log(`[Confirmations] Sending request for confirmation ${confId}`);
-      console.log('[Confirmations] Body:', body.toString());
-      const res = await axios.post(url, body.toString(), {
-        headers: {
-          ...STEAM_HEADERS,
-          Cookie: cookie,
-          'Content-Type': 'application/x-www-form-urlencoded; charset=UTF-8'
-        },
-        httpAgent: getAgent(),
-        httpsAgent: getAgent(),
-        validateStatus: () => true,
-        timeout: 10000
-      });
-      console.log(`[Confirmations] Response status: ${res.status}`);
-      console.log('[Confirmations] Response data:', res.data);
-      if (res.status === 401 || res.status === 403) {
-        throw new Error('LOGIN_REQUIRED');
-      }
-      if (res.status !== 200) {
-        console.error(`[Confirmations] HTTP Error for conf ${confId}:`, res.status);
-        throw new Error(`HTTP ${res.status}: Failed to act on confirmation ${confId}`);
+  const items = confirmations.map((conf, i) => {
+    const id = conf.id || conf.confirmationId;
+    const key = conf.key || conf.nonce;
+    if (!id || !key) {
+      throw new Error(`Confirmation ${i} missing id (${id}) or key (${key})`);
+    }
+    return { id: String(id), key: String(key) };
+  });
+
+  console.log(`[Confirmations] Acting on ${items.length} confirmations with op: ${op}`);
+  const results = new Map();
+  let loginRequired = false;
+  const fail = (item, error, retryable) => results.set(item.id, { id: item.id, success: false, error, retryable });
+  const succeed = item => results.set(item.id, { id: item.id, success: true });
+
+  for (let start = 0; start < items.length; start += BATCH_SIZE) {
+    const batch = items.slice(start, start + BATCH_SIZE);
+    if (loginRequired) {
+      batch.forEach(item => fail(item, 'LOGIN_REQUIRED', false));
+      continue;
+    }
+    try {
+      await withRetry(() => postConfirmationOp(account, op, batch));
+      batch.forEach(succeed);
+      continue;
+    } catch (err) {
+      if (err.message === 'LOGIN_REQUIRED') loginRequired = true;
+      if (loginRequired || batch.length === 1) {
+        batch.forEach(item => fail(item, err.message, err.retryable));
+        continue;
       }
-      let data = res.data;
-      if (typeof res.data === 'string') {
-        try {
-          data = JSON.parse(res.data);
-        } catch (e) {
-          console.log(`[Confirmations] Could not parse response as JSON: "${res.data}"`);
-          results.push({ confId, success: true, message: 'Processed' });
-          continue;
-        }
+      console.warn(`[Confirmations] Batch of ${batch.length} failed (${err.message}), trying one by one`);
+    }
+    for (const item of batch) {
+      if (loginRequired) {
+        fail(item, 'LOGIN_REQUIRED', false);
+        continue;
       }
-      console.log(`[Confirmations] Parsed response for conf ${confId}:`, data);
-      if (data && data.success === true) {
-        console.log(`[Confirmations] ✓ Confirmation ${confId} processed successfully`);
-        results.push({ confId, success: true });
-      } else if (data && (data.success === false || data.error)) {
-        const errMsg = data.message || data.error || 'Unknown error';
-        console.error(`[Confirmations] ✗ Confirmation ${confId} failed:`, errMsg);
-        results.push({ confId, success: false, error: errMsg });
-      } else if (res.status === 200) {
-        console.log(`[Confirmations] ✓ Confirmation ${confId} likely processed (HTTP 200)`);
-        results.push({ confId, success: true });
-      } else {
-        console.warn(`[Confirmations] ?  Confirmation ${confId} unclear result:`, data);
-        results.push({ confId, success: false, error: 'Unclear response' });
+      try {
+        await withRetry(() => postConfirmationOp(account, op, [item]));
+        succeed(item);
+      } catch (err) {
+        if (err.message === 'LOGIN_REQUIRED') loginRequired = true;
+        fail(item, err.message, err.retryable);
       }
     }
-    updateSessionLastUsed(account.id);
-    const successful = results.filter(r => r.success).length;
-    const failed = results.filter(r => !r.success).length;
-    console.log(`[Confirmations] Summary: ${successful} successful, ${failed} failed`);
-    if (failed > 0) {
-      const failedConfIds = results.filter(r => !r.success).map(r => r.confId).join(', ');
-      throw new Error(`Failed to process confirmations: ${failedConfIds}`);
-    }
-    console.log(`[Confirmations] ✓ All ${confirmations.length} confirmation(s) processed successfully`);
-    return { success: true, results };
-  } catch (err) {
-    console.error('[Confirmations] Action error:', err.message);
-    console.error('[Confirmations] Stack:', err.stack);
-    throw err;
   }
+
+  const list = items.map(item => results.get(item.id));
+  const succeeded = list.filter(r => r.success).length;
+  if (succeeded) updateSessionLastUsed(account.id);
+  console.log(`[Confirmations] Summary: ${succeeded} successful, ${list.length - succeeded} failed`);
+  return {
+    success: succeeded === list.length,
+    op,
+    results: list,
+    summary: { succeeded, failed: list.length - succeeded },
+    loginRequired
+  };
 }
 
 module.exports = {
+  CONFIRMATION_KINDS,
+  getConfirmationKind,
   fetchConfirmations,
   actOnConfirmations
 };
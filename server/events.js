@@ -0,0 +1,155 @@
+const { loadAccounts, loadOtpStore } = require('./storage');
+const { getCodeSnapshot } = require('./steamGuard');
+const { getSteamTimeMs } = require('./steamTime');
+const { getOtpCodes } = require('./otp');
+const { tokenAllowsAccount, tokenAllowsOtpEntry } = require('./apiTokens');
+
+const HEARTBEAT_MS = 25 * 1000;
+// Pushed slightly after the boundary so the new window has started on Steam's clock.
+const ROLLOVER_DELAY_MS = 50;
+
+const clients = new Set();
+let nextClientId = 1;
+let heartbeatTimer = null;
+let codeTimer = null;
+// Steam's 30s plus the periods of stored TOTP entries, in seconds.
+let codePeriods = [30];
+
+function send(client, type, data) {
+  client.res.write(`event: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+// A client disappears when its login or token stops being valid, so a
+// signed-out tab or revoked token does not keep receiving codes.
+function isAuthorized(client) {
+  try {
+    return client.isAuthorized();
+  } catch (err) {
+    return false;
+  }
+}
+
+function close(client, type, data) {
+  clients.delete(client);
+  if (type) send(client, type, data);
+  client.res.end();
+  stopTimersWhenIdle();
+}
+
+function allowed(client, steamid, scope) {
+  const token = client.token;
+  if (!token) return true;
+  if (scope && !token.scopes.includes(scope)) return false;
+  return !steamid || tokenAllowsAccount(token, steamid);
+}
+
+function publish(type, data, options = {}) {
+  for (const client of [...clients]) {
+    if (!isAuthorized(client)) {
+      close(client, 'auth-required', {});
+      continue;
+    }
+    if (allowed(client, options.steamid, options.scope)) send(client, type, data);
+  }
+}
+
+function sendCodes(client, accounts, otpEntries, nowMs) {
+  const inGroup = item => !client.group || (item.groups || []).includes(client.group);
+  const snapshot = getCodeSnapshot(accounts.filter(a => allowed(client, a.steamid, 'codes')).filter(inGroup), nowMs);
+  const otp = otpEntries.filter(e => !client.token || tokenAllowsOtpEntry(client.token, e)).filter(inGroup);
+  snapshot.codes.push(...getOtpCodes(otp, nowMs));
+  send(client, 'codes', snapshot);
+}
+
+function pushCodes(only) {
+  const targets = only ? [only] : [...clients];
+  if (targets.length === 0) return;
+  let accounts;
+  let otpEntries;
+  try {
+    accounts = loadAccounts();
+    otpEntries = loadOtpStore().entries;
+  } catch (err) {
+    if (err.code === 'VAULT_LOCKED') return closeAll('vault-locked');
+    console.error('[Events] Failed to load accounts for codes:', err.message);
+    return;
+  }
+  codePeriods = [...new Set([30, ...otpEntries.filter(e => e.type === 'totp').map(e => e.period)])];
+  const nowMs = getSteamTimeMs();
+  for (const client of targets) {
+    if (!clients.has(client)) continue;
+    if (!isAuthorized(client)) {
+      close(client, 'auth-required', {});
+      continue;
+    }
+    if (!client.token || client.token.scopes.includes('codes')) sendCodes(client, accounts, otpEntries, nowMs);
+  }
+}
+
+function scheduleCodes() {
+  if (codeTimer || clients.size === 0) return;
+  const nowMs = getSteamTimeMs();
+  const delay = Math.min(...codePeriods.map(p => p * 1000 - (nowMs % (p * 1000)))) + ROLLOVER_DELAY_MS;
+  codeTimer = setTimeout(() => {
+    codeTimer = null;
+    pushCodes();
+    scheduleCodes();
+  }, delay);
+  codeTimer.unref();
+}
+
+function startTimers() {
+  scheduleCodes();
+  if (!heartbeatTimer) {
+    heartbeatTimer = setInterval(() => {
+      for (const client of [...clients]) {
+        if (!isAuthorized(client)) close(client, 'auth-required', {});
+        else client.res.write(': ping\n\n');
+      }
+    }, HEARTBEAT_MS);
+    heartbeatTimer.unref();
+  }
+}
+
+function stopTimersWhenIdle() {
+  if (clients.size > 0) return;
+  clearTimeout(codeTimer);
+  clearInterval(heartbeatTimer);
+  codeTimer = null;
+  heartbeatTimer = null;
+}
+
+function subscribe(req, res, options) {
+  const client = {
+    id: nextClientId++,
+    res,
+    token: options.token || null,
+    group: options.group || null,
+    isAuthorized: options.isAuthorized
+  };
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.write('retry: 3000\n\n');
+  clients.add(client);
+  send(client, 'ready', { id: client.id });
+  pushCodes(client);
+  startTimers();
+
+  req.on('close', () => {
+    clients.delete(client);
+    stopTimersWhenIdle();
+  });
+}
+
+// Ends every stream, e.g. when the vault locks; clients reconnect once the
+// reason is gone.
+function closeAll(type, data = {}) {
+  for (const client of [...clients]) close(client, type, data);
+}
+
+module.exports = { subscribe, publish, closeAll };
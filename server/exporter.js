@@ -0,0 +1,167 @@
+const AdmZip = require('adm-zip');
+const QRCode = require('qrcode');
+const { base32Encode } = require('./base32');
+const { getRandomSalt, getInitializationVector, encryptData } = require('./fileEncryption');
+const { loadAccounts, isVaultEncrypted, verifyPasskey } = require('./storage');
+
+const BUNDLE_FORMAT = 'steam-web-authenticator-backup';
+const EXPORT_FORMATS = ['mafile', 'sda', 'steamguard-cli', 'otpauth', 'bundle'];
+
+function exportError(code) {
+  const err = new Error(code);
+  err.code = code;
+  return err;
+}
+
+// Raw secrets only leave the vault when the caller proves they know the
+// passkey again, an unlocked browser tab is not enough.
+function loadExportAccounts(passkey, steamids) {
+  if (isVaultEncrypted()) {
+    if (!passkey) throw exportError('EXPORT_PASSKEY_REQUIRED');
+    if (!verifyPasskey(passkey)) throw exportError('BAD_PASSKEY');
+  }
+  const accounts = loadAccounts(passkey || null);
+  if (!steamids || steamids.length === 0) return accounts;
+  const wanted = steamids.map(String);
+  const selected = accounts.filter(a => wanted.includes(a.steamid));
+  if (selected.length !== wanted.length) throw exportError('ACCOUNT_NOT_FOUND');
+  return selected;
+}
+
+function single(accounts) {
+  if (accounts.length !== 1) throw exportError('SINGLE_ACCOUNT_REQUIRED');
+  return accounts[0];
+}
+
+function buildOtpauthUri(maFile) {
+  const secret = base32Encode(Buffer.from(maFile.shared_secret, 'base64'));
+  const label = encodeURIComponent(maFile.account_name || maFile.steamid);
+  return `otpauth://totp/Steam:${label}?secret=${secret}&issuer=Steam`;
+}
+
+function toZipResult(zip, filename) {
+  return {
+    filename,
+    mimeType: 'application/zip',
+    encoding: 'base64',
+    content: zip.toBuffer().toString('base64')
+  };
+}
+
+function exportSdaFolder(accounts) {
+  const zip = new AdmZip();
+  const manifest = {
+    encrypted: false,
+    first_run: false,
+    entries: [],
+    periodic_checking: false,
+    periodic_checking_interval: 5,
+    periodic_checking_checkall: false,
+    auto_confirm_market_transactions: false,
+    auto_confirm_trades: false
+  };
+  for (const account of accounts) {
+    const filename = `${account.steamid}.maFile`;
+    manifest.entries.push({ encryption_iv: null, encryption_salt: null, filename, steamid: account.steamid });
+    zip.addFile(`maFiles/${filename}`, Buffer.from(JSON.stringify(account.raw_mafile), 'utf8'));
+  }
+  zip.addFile('maFiles/manifest.json', Buffer.from(JSON.stringify(manifest), 'utf8'));
+  return toZipResult(zip, 'maFiles.zip');
+}
+
+// steamguard-cli stores steam_id as a u64 number, which JSON.stringify cannot
+// emit for 17 digit ids without rounding, so it is unquoted after the fact.
+function stringifySteamguardCli(value) {
+  return JSON.stringify(value, null, 2).replace(/"steam_id": "(\d+)"/g, '"steam_id": $1');
+}
+
+function exportSteamguardCli(accounts) {
+  const zip = new AdmZip();
+  const manifest = { version: 1, entries: [], keyring_id: null };
+  for (const account of accounts) {
+    const maFile = account.raw_mafile;
+    const filename = `${maFile.account_name || account.steamid}.maFile`;
+    const session = maFile.Session || {};
+    manifest.entries.push({
+      filename,
+      steam_id: account.steamid,
+      account_name: maFile.account_name || '',
+      encryption: null
+    });
+    zip.addFile(`maFiles/${filename}`, Buffer.from(stringifySteamguardCli({
+      account_name: maFile.account_name || '',
+      steam_id: account.steamid,
+      serial_number: maFile.serial_number || '',
+      revocation_code: maFile.revocation_code || '',
+      shared_secret: maFile.shared_secret,
+      token_gid: maFile.token_gid || '',
+      identity_secret: maFile.identity_secret || '',
+      uri: maFile.uri || buildOtpauthUri(maFile),
+      device_id: account.device_id,
+      secret_1: maFile.secret_1 || '',
+      tokens: session.AccessToken || session.RefreshToken
+        ? { access_token: session.AccessToken || null, refresh_token: session.RefreshToken || null }
+        : null
+    }), 'utf8'));
+  }
+  zip.addFile('maFiles/manifest.json', Buffer.from(stringifySteamguardCli(manifest), 'utf8'));
+  return toZipResult(zip, 'steamguard-cli.zip');
+}
+
+function exportBundle(accounts, bundlePassword) {
+  if (!bundlePassword) throw exportError('BUNDLE_PASSWORD_REQUIRED');
+  const salt = getRandomSalt();
+  const iv = getInitializationVector();
+  const payload = JSON.stringify({
+    exportedAt: new Date().toISOString(),
+    accounts: accounts.map(a => a.raw_mafile)
+  });
+  const bundle = {
+    format: BUNDLE_FORMAT,
+    version: 1,
+    encryption_salt: salt,
+    encryption_iv: iv,
+    data: encryptData(bundlePassword, salt, iv, payload)
+  };
+  const date = new Date().toISOString().slice(0, 10);
+  return {
+    filename: `steam-guard-backup-${date}.json`,
+    mimeType: 'application/json',
+    encoding: 'utf8',
+    content: JSON.stringify(bundle, null, 2)
+  };
+}
+
+async function exportAccounts(format, options = {}) {
+  if (!EXPORT_FORMATS.includes(format)) throw exportError('UNKNOWN_FORMAT');
+  const steamids = options.steamids || (options.steamid ? [options.steamid] : null);
+  const accounts = loadExportAccounts(options.passkey, steamids);
+  if (accounts.length === 0) throw exportError('ACCOUNT_NOT_FOUND');
+
+  console.log(`[Export] ${format} export of ${accounts.length} account(s)`);
+
+  switch (format) {
+    case 'mafile': {
+      const account = single(accounts);
+      return {
+        filename: `${account.steamid}.maFile`,
+        mimeType: 'application/json',
+        encoding: 'utf8',
+        content: JSON.stringify(account.raw_mafile)
+      };
+    }
+    case 'otpauth': {
+      const account = single(accounts);
+      const uri = buildOtpauthUri(account.raw_mafile);
+      return { uri, qrCode: await QRCode.toDataURL(uri) };
+    }
+    case 'sda':
+      return exportSdaFolder(accounts);
+    case 'steamguard-cli':
+      return exportSteamguardCli(accounts);
+    case 'bundle':
+      return exportBundle(accounts, options.bundlePassword);
+  }
+}
+
+module.exports = { exportAccounts, BUNDLE_FORMAT, EXPORT_FORMATS };
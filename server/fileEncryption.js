@@ -0,0 +1,62 @@
+const crypto = require('crypto');
+const { getDerivedKey } = require('./vault');
+
+// Same parameters as Steam Desktop Authenticator's FileEncryptor so that
+// encrypted maFiles stay interchangeable between both tools.
+const PBKDF2_ITERATIONS = 50000;
+const SALT_LENGTH = 8;
+const KEY_SIZE_BYTES = 32;
+const IV_LENGTH = 16;
+
+function getRandomSalt() {
+  return crypto.randomBytes(SALT_LENGTH).toString('base64');
+}
+
+function getInitializationVector() {
+  return crypto.randomBytes(IV_LENGTH).toString('base64');
+}
+
+function getEncryptionKey(passkey, salt) {
+  if (!passkey) throw new Error('Passkey is required');
+  if (!salt) throw new Error('Salt is required');
+  return getDerivedKey(passkey, salt, () => crypto.pbkdf2Sync(
+    Buffer.from(String(passkey), 'utf8'),
+    Buffer.from(salt, 'base64'),
+    PBKDF2_ITERATIONS,
+    KEY_SIZE_BYTES,
+    'sha1'
+  ));
+}
+
+function encryptData(passkey, salt, iv, plaintext) {
+  if (!iv) throw new Error('IV is required');
+  const key = getEncryptionKey(passkey, salt);
+  const cipher = crypto.createCipheriv('aes-256-cbc', key, Buffer.from(iv, 'base64'));
+  return Buffer.concat([
+    cipher.update(Buffer.from(String(plaintext), 'utf8')),
+    cipher.final()
+  ]).toString('base64');
+}
+
+function decryptData(passkey, salt, iv, ciphertext) {
+  if (!iv) throw new Error('IV is required');
+  const key = getEncryptionKey(passkey, salt);
+  try {
+    const decipher = crypto.createDecipheriv('aes-256-cbc', key, Buffer.from(iv, 'base64'));
+    return Buffer.concat([
+      decipher.update(Buffer.from(String(ciphertext).trim(), 'base64')),
+      decipher.final()
+    ]).toString('utf8');
+  } catch {
+    // A wrong passkey almost always surfaces as a padding error here.
+    return null;
+  }
+}
+
+module.exports = {
+  getRandomSalt,
+  getInitializationVector,
+  getEncryptionKey,
+  encryptData,
+  decryptData
+};
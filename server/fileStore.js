@@ -0,0 +1,114 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+
+const LOCK_RETRY_MS = 50;
+const LOCK_TIMEOUT_MS = 10 * 1000;
+const LOCK_STALE_MS = 60 * 1000;
+
+let queue = Promise.resolve();
+
+function fsyncDir(dir) {
+  let fd;
+  try {
+    fd = fs.openSync(dir, 'r');
+    fs.fsyncSync(fd);
+  } catch {
+    // Directories cannot be opened for fsync on every platform (e.g. Windows).
+  } finally {
+    if (fd !== undefined) fs.closeSync(fd);
+  }
+}
+
+function writeFileAtomic(fullPath, content) {
+  const tmpPath = `${fullPath}.${process.pid}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+  const fd = fs.openSync(tmpPath, 'w', 0o600);
+  try {
+    fs.writeSync(fd, content);
+    fs.fsyncSync(fd);
+  } finally {
+    fs.closeSync(fd);
+  }
+  try {
+    fs.renameSync(tmpPath, fullPath);
+  } catch (err) {
+    fs.rmSync(tmpPath, { force: true });
+    throw err;
+  }
+  fsyncDir(path.dirname(fullPath));
+}
+
+function isProcessAlive(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (err) {
+    return err.code === 'EPERM';
+  }
+}
+
+function isLockStale(lockPath) {
+  try {
+    const owner = JSON.parse(fs.readFileSync(lockPath, 'utf8'));
+    if (owner.host === os.hostname() && owner.pid !== process.pid) {
+      return !isProcessAlive(owner.pid);
+    }
+  } catch {
+    // Unreadable or half-written lockfile, fall back to its age.
+  }
+  try {
+    return Date.now() - fs.statSync(lockPath).mtimeMs > LOCK_STALE_MS;
+  } catch {
+    return false;
+  }
+}
+
+function tryAcquireLock(lockPath) {
+  try {
+    const fd = fs.openSync(lockPath, 'wx', 0o600);
+    fs.writeSync(fd, JSON.stringify({
+      pid: process.pid,
+      host: os.hostname(),
+      acquiredAt: new Date().toISOString()
+    }));
+    fs.closeSync(fd);
+    return true;
+  } catch (err) {
+    if (err.code !== 'EEXIST') throw err;
+    if (isLockStale(lockPath)) {
+      console.warn(`[FileStore] Removing stale lock ${lockPath}`);
+      fs.rmSync(lockPath, { force: true });
+    }
+    return false;
+  }
+}
+
+async function acquireLock(lockPath) {
+  const deadline = Date.now() + LOCK_TIMEOUT_MS;
+  while (!tryAcquireLock(lockPath)) {
+    if (Date.now() > deadline) {
+      const err = new Error('DATA_DIR_LOCKED');
+      err.code = 'DATA_DIR_LOCKED';
+      throw err;
+    }
+    await new Promise(resolve => setTimeout(resolve, LOCK_RETRY_MS));
+  }
+}
+
+// Writers are chained on an in-process queue first, so only one of them ever
+// competes for the lockfile that guards the directory against other processes.
+function withFileLock(lockPath, task) {
+  const run = queue.then(async () => {
+    await acquireLock(lockPath);
+    try {
+      return await task();
+    } finally {
+      fs.rmSync(lockPath, { force: true });
+    }
+  });
+  queue = run.catch(() => {});
+  return run;
+}
+
+module.exports = { writeFileAtomic, withFileLock };
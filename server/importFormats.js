@@ -0,0 +1,256 @@
+const { base32Decode } = require('./base32');
+const { decryptData } = require('./fileEncryption');
+const { BUNDLE_FORMAT } = require('./exporter');
+const { parseMaFileSafe } = require('./storage');
+
+function formatError(message) {
+  const err = new Error(message);
+  err.code = 'UNSUPPORTED_FORMAT';
+  return err;
+}
+
+function base32ToBase64(secret) {
+  return base32Decode(secret).toString('base64');
+}
+
+function isSteamLabel(value) {
+  return /^steam$/i.test(String(value || '').trim());
+}
+
+// Everything besides shared_secret is optional in third party exports, so each
+// entry carries a list of what will not work for that account.
+function describeMissing(maFile) {
+  const missing = [];
+  if (!maFile.identity_secret) missing.push('no identity_secret, confirmations unavailable');
+  if (!maFile.revocation_code) missing.push('no revocation_code, cannot remove the authenticator without Steam support');
+  if (!maFile.Session || !(maFile.Session.AccessToken || maFile.Session.RefreshToken)) {
+    missing.push('no session tokens, log in with the account password');
+  }
+  return missing;
+}
+
+function fromSecret(accountName, base32Secret) {
+  return {
+    shared_secret: base32ToBase64(base32Secret),
+    account_name: accountName || '',
+    steamid: null
+  };
+}
+
+const GENERIC_OTP_TYPES = ['totp', 'hotp'];
+
+function parseOtpauthUri(line) {
+  let url;
+  try {
+    url = new URL(line.trim());
+  } catch {
+    throw formatError('Invalid otpauth URI');
+  }
+  if (url.protocol !== 'otpauth:') throw formatError('Invalid otpauth URI');
+  const label = decodeURIComponent(url.pathname.replace(/^\/+/, ''));
+  const colon = label.indexOf(':');
+  const params = url.searchParams;
+  return {
+    type: url.hostname.toLowerCase(),
+    issuer: params.get('issuer') || (colon !== -1 ? label.slice(0, colon) : ''),
+    name: colon !== -1 ? label.slice(colon + 1).trim() : label,
+    secret: params.get('secret'),
+    params
+  };
+}
+
+// Non-Steam URIs become generic OTP entries; otp.js validates the values.
+function otpFromUri(uri) {
+  const params = uri.params;
+  return {
+    type: uri.type,
+    issuer: uri.issuer,
+    name: uri.name,
+    secret: uri.secret,
+    algorithm: params.get('algorithm') || undefined,
+    digits: params.get('digits') || undefined,
+    period: params.get('period') || undefined,
+    counter: params.get('counter') || undefined
+  };
+}
+
+// WinAuth writes one otpauth URI per line and puts the full SDA-style secrets
+// of Steam authenticators into a JSON `data` parameter.
+function convertOtpauthLines(content) {
+  const lines = content.split(/\r?\n/).map(l => l.trim()).filter(Boolean);
+  const result = { format: 'otpauth', entries: [], otp: [], skipped: [] };
+  for (const line of lines) {
+    const uri = parseOtpauthUri(line);
+    const label = uri.name || uri.issuer || 'entry';
+    const isSteam = isSteamLabel(uri.issuer) || uri.params.has('data') || uri.params.get('digits') === '5';
+    if (!isSteam) {
+      if (GENERIC_OTP_TYPES.includes(uri.type)) result.otp.push({ label, otp: otpFromUri(uri) });
+      else result.skipped.push({ label, reason: `Unsupported entry type ${uri.type}` });
+      continue;
+    }
+    if (uri.params.has('data')) {
+      result.format = 'winauth';
+      let data;
+      try {
+        data = parseMaFileSafe(uri.params.get('data'));
+      } catch (err) {
+        throw formatError(`Invalid WinAuth data for ${label}: ${err.message}`);
+      }
+      const maFile = { ...data };
+      delete maFile.session;
+      maFile.account_name = data.account_name || uri.name;
+      maFile.steamid = data.steamid ? String(data.steamid) : null;
+      if (!maFile.device_id && uri.params.get('deviceid')) {
+        maFile.device_id = uri.params.get('deviceid');
+      }
+      if (!maFile.shared_secret && uri.secret) {
+        maFile.shared_secret = base32ToBase64(uri.secret);
+      }
+      result.entries.push({ label, maFile });
+      continue;
+    }
+    if (!uri.secret) throw formatError(`otpauth URI for ${label} has no secret`);
+    result.entries.push({ label, maFile: fromSecret(uri.name, uri.secret) });
+  }
+  return result;
+}
+
+function convertAegis(exported) {
+  if (typeof exported.db === 'string') {
+    throw formatError('Encrypted Aegis export is not supported; export the vault without encryption');
+  }
+  const result = { format: 'aegis', entries: [], otp: [], skipped: [] };
+  for (const item of exported.db.entries || []) {
+    const label = item.name || item.issuer || item.uuid || 'entry';
+    const type = String(item.type).toLowerCase();
+    if (GENERIC_OTP_TYPES.includes(type)) {
+      const info = item.info || {};
+      result.otp.push({
+        label,
+        otp: {
+          type,
+          issuer: item.issuer,
+          name: item.name,
+          secret: info.secret,
+          algorithm: info.algo,
+          digits: info.digits,
+          period: info.period,
+          counter: info.counter
+        }
+      });
+      continue;
+    }
+    if (type !== 'steam') {
+      result.skipped.push({ label, reason: `Unsupported entry type ${item.type}` });
+      continue;
+    }
+    result.entries.push({ label, maFile: fromSecret(item.name, item.info && item.info.secret) });
+  }
+  return result;
+}
+
+function convertAndOtp(exported) {
+  const result = { format: 'andotp', entries: [], otp: [], skipped: [] };
+  for (const item of exported) {
+    const label = item.label || item.issuer || 'entry';
+    const type = String(item.type).toLowerCase();
+    if (GENERIC_OTP_TYPES.includes(type)) {
+      result.otp.push({
+        label,
+        otp: {
+          type,
+          issuer: item.issuer,
+          name: item.label,
+          secret: item.secret,
+          algorithm: item.algorithm,
+          digits: item.digits,
+          period: item.period,
+          counter: item.counter
+        }
+      });
+      continue;
+    }
+    if (type !== 'steam') {
+      result.skipped.push({ label, reason: `Unsupported entry type ${item.type}` });
+      continue;
+    }
+    const name = String(item.label || '').replace(/^steam:\s*/i, '');
+    result.entries.push({ label, maFile: fromSecret(name, item.secret) });
+  }
+  return result;
+}
+
+// steamguard-cli 0.9+ renamed steamid to steam_id and replaced the SDA
+// Session block with an access/refresh token pair.
+function convertSteamguardCli(maFile) {
+  const converted = { ...maFile };
+  converted.steamid = String(maFile.steam_id);
+  delete converted.steam_id;
+  delete converted.tokens;
+  if (maFile.tokens) {
+    converted.Session = {
+      SteamID: converted.steamid,
+      AccessToken: maFile.tokens.access_token || null,
+      RefreshToken: maFile.tokens.refresh_token || null
+    };
+  }
+  return { format: 'steamguard-cli', entries: [{ label: maFile.account_name, maFile: converted }], otp: [], skipped: [] };
+}
+
+// Backup bundles from the exporter share the passkey prompt with encrypted
+// SDA maFiles, so they report the same error codes.
+function convertBundle(bundle, passkey) {
+  if (!passkey) {
+    const err = new Error('SDA_PASSKEY_REQUIRED');
+    err.code = 'SDA_PASSKEY_REQUIRED';
+    throw err;
+  }
+  const plaintext = decryptData(passkey, bundle.encryption_salt, bundle.encryption_iv, bundle.data);
+  if (plaintext === null) {
+    const err = new Error('Wrong backup password');
+    err.code = 'BAD_SDA_PASSKEY';
+    throw err;
+  }
+  const payload = parseMaFileSafe(plaintext);
+  return {
+    format: 'bundle',
+    entries: (payload.accounts || []).map(maFile => ({ label: maFile.account_name || maFile.steamid, maFile })),
+    otp: [],
+    skipped: []
+  };
+}
+
+function convertImport(content, options = {}) {
+  const text = String(content || '').trim();
+  let result;
+  if (/^otpauth:\/\//i.test(text)) {
+    result = convertOtpauthLines(text);
+  } else {
+    let parsed;
+    try {
+      parsed = parseMaFileSafe(text);
+    } catch (err) {
+      throw new Error(`Invalid JSON: ${err.message}`);
+    }
+    if (Array.isArray(parsed)) {
+      result = convertAndOtp(parsed);
+    } else if (parsed && parsed.format === BUNDLE_FORMAT) {
+      result = convertBundle(parsed, options.passkey);
+    } else if (parsed && parsed.db && parsed.header) {
+      result = convertAegis(parsed);
+    } else if (parsed && parsed.steam_id !== undefined) {
+      result = convertSteamguardCli(parsed);
+    } else {
+      result = { format: 'sda', entries: [{ label: parsed.account_name, maFile: parsed }], otp: [], skipped: [] };
+    }
+  }
+  for (const entry of result.entries) {
+    if (!entry.maFile.steamid && entry.maFile.Session && entry.maFile.Session.SteamID) {
+      entry.maFile.steamid = String(entry.maFile.Session.SteamID);
+    }
+    entry.missing = describeMissing(entry.maFile);
+  }
+  return result;
+}
+
+module.exports = { convertImport, parseOtpauthUri };
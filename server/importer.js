@@ -0,0 +1,307 @@
+const path = require('path');
+const AdmZip = require('adm-zip');
+const { decryptData } = require('./fileEncryption');
+const { convertImport } = require('./importFormats');
+const { addOtpEntries } = require('./otp');
+const {
+  parseMaFileSafe,
+  normalizeMaFile,
+  loadAccounts,
+  addAccountFromMaFile
+} = require('./storage');
+
+const ZIP_SIGNATURE = Buffer.from([0x50, 0x4b, 0x03, 0x04]);
+// Archives are inflated in memory, so entries are checked against their
+// declared size before anything is decompressed (adm-zip never inflates an
+// entry past that size).
+const ZIP_MAX_ENTRIES = 500;
+const ZIP_MAX_ENTRY_BYTES = 1024 * 1024;
+const ZIP_MAX_TOTAL_BYTES = 20 * 1024 * 1024;
+const ZIP_ENTRY_PATTERN = /\.(mafile|json|txt)$/i;
+
+function decodeUpload(file) {
+  if (file.encoding === 'base64') {
+    return Buffer.from(String(file.content || ''), 'base64');
+  }
+  return Buffer.from(String(file.content || ''), 'utf8');
+}
+
+function isZip(name, buffer) {
+  return /\.zip$/i.test(name) || buffer.subarray(0, 4).equals(ZIP_SIGNATURE);
+}
+
+function isManifestFile(name) {
+  return path.posix.basename(name).toLowerCase() === 'manifest.json';
+}
+
+// Zip contents keep the archive name as prefix so the report says where each
+// account came from, and the folder decides which manifest.json applies.
+function expandUploads(files, report) {
+  const expanded = [];
+  for (const file of files) {
+    const name = String(file.name || 'upload');
+    const buffer = decodeUpload(file);
+    if (!isZip(name, buffer)) {
+      expanded.push({
+        name,
+        folder: path.posix.dirname(name.replace(/\\/g, '/')),
+        fromArchive: false,
+        content: buffer.toString('utf8')
+      });
+      continue;
+    }
+    let zip;
+    try {
+      zip = new AdmZip(buffer);
+    } catch (err) {
+      report.push({ file: name, status: 'failed', reason: `Invalid zip archive: ${err.message}` });
+      continue;
+    }
+    const entries = zip.getEntries().filter(e => !e.isDirectory && ZIP_ENTRY_PATTERN.test(e.entryName));
+    if (entries.length > ZIP_MAX_ENTRIES) {
+      report.push({ file: name, status: 'failed', reason: `Zip archive has more than ${ZIP_MAX_ENTRIES} importable files` });
+      continue;
+    }
+    let totalBytes = 0;
+    for (const entry of entries) {
+      const entryName = entry.entryName.replace(/\\/g, '/');
+      const size = entry.header.size;
+      if (size > ZIP_MAX_ENTRY_BYTES) {
+        report.push({ file: `${name}/${entryName}`, status: 'failed', reason: 'File is too large to import' });
+        continue;
+      }
+      totalBytes += size;
+      if (totalBytes > ZIP_MAX_TOTAL_BYTES) {
+        report.push({ file: name, status: 'failed', reason: 'Zip archive is too large to import, remaining files skipped' });
+        break;
+      }
+      let data;
+      try {
+        data = entry.getData();
+      } catch (err) {
+        report.push({ file: `${name}/${entryName}`, status: 'failed', reason: `Invalid zip entry: ${err.message}` });
+        continue;
+      }
+      expanded.push({
+        name: `${name}/${entryName}`,
+        folder: `${name}/${path.posix.dirname(entryName)}`,
+        fromArchive: true,
+        content: data.toString('utf8')
+      });
+    }
+  }
+  return expanded;
+}
+
+// SDA (and legacy steamguard-cli) write encrypted maFiles as bare base64 and
+// keep the IV and salt next to the filename in the folder's manifest.json.
+function findManifestEntry(manifests, file) {
+  const filename = path.posix.basename(file.name);
+  const candidates = manifests.has(file.folder)
+    ? [manifests.get(file.folder)]
+    : manifests.size === 1 ? [...manifests.values()] : [];
+  for (const manifest of candidates) {
+    const entry = (manifest.entries || []).find(e => e.filename === filename);
+    if (entry) return { manifest, entry };
+  }
+  return null;
+}
+
+function looksEncrypted(content) {
+  const trimmed = content.trim();
+  return !trimmed.startsWith('{') && /^[A-Za-z0-9+/=\s]+$/.test(trimmed);
+}
+
+// steamguard-cli nests the parameters under `encryption` and only its legacy
+// scheme is SDA compatible; the Argon2id one would need its own KDF.
+function getEncryptionParams(entry) {
+  if (!entry.encryption) {
+    return { iv: entry.encryption_iv, salt: entry.encryption_salt };
+  }
+  const scheme = entry.encryption.scheme;
+  if (scheme !== undefined && scheme !== -1 && scheme !== 'LegacySdaCompatible') {
+    throw new Error('steamguard-cli Argon2id encryption is not supported; run `steamguard decrypt` and import the plaintext files');
+  }
+  return { iv: entry.encryption.iv, salt: entry.encryption.salt };
+}
+
+function decryptSdaMaFile(file, manifests, sdaPasskey) {
+  const match = findManifestEntry(manifests, file);
+  const params = match ? getEncryptionParams(match.entry) : {};
+  if (!params.iv || !params.salt) {
+    throw new Error('Encrypted maFile without its manifest.json entry (IV and salt)');
+  }
+  if (!sdaPasskey) {
+    const err = new Error('SDA_PASSKEY_REQUIRED');
+    err.code = 'SDA_PASSKEY_REQUIRED';
+    throw err;
+  }
+  const plaintext = decryptData(sdaPasskey, params.salt, params.iv, file.content);
+  if (plaintext === null) {
+    const err = new Error('Wrong SDA passkey');
+    err.code = 'BAD_SDA_PASSKEY';
+    throw err;
+  }
+  return plaintext;
+}
+
+function stableStringify(value) {
+  if (Array.isArray(value)) return `[${value.map(stableStringify).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value)
+      .sort()
+      .map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`)
+      .join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+function summarize(report) {
+  const summary = { imported: 0, updated: 0, duplicate: 0, skipped: 0, failed: 0 };
+  for (const row of report) {
+    summary[row.status] = (summary[row.status] || 0) + 1;
+  }
+  return summary;
+}
+
+async function importMaFiles(files, options = {}) {
+  if (!Array.isArray(files) || files.length === 0) {
+    throw new Error('No files provided');
+  }
+  const report = [];
+  const expanded = expandUploads(files, report);
+  const manifests = new Map();
+
+  for (const file of expanded.filter(f => isManifestFile(f.name))) {
+    try {
+      const manifest = parseMaFileSafe(file.content);
+      manifests.set(file.folder, manifest);
+      report.push({
+        file: file.name,
+        status: 'skipped',
+        reason: `Manifest with ${(manifest.entries || []).length} entries`
+      });
+    } catch (err) {
+      report.push({ file: file.name, status: 'failed', reason: `Invalid manifest.json: ${err.message}` });
+    }
+  }
+
+  const pending = [];
+  const pendingOtp = [];
+  let needsPasskey = false;
+
+  for (const file of expanded.filter(f => !isManifestFile(f.name))) {
+    if (file.fromArchive && !/\.(mafile|json|txt)$/i.test(file.name)) {
+      report.push({ file: file.name, status: 'skipped', reason: 'Not a maFile' });
+      continue;
+    }
+    const row = { file: file.name };
+    try {
+      let content = file.content;
+      if (looksEncrypted(content)) {
+        row.encrypted = true;
+        content = decryptSdaMaFile(file, manifests, options.sdaPasskey);
+      }
+      const converted = convertImport(content, { passkey: options.sdaPasskey });
+      const multiple = converted.entries.length + converted.otp.length + converted.skipped.length > 1;
+      for (const skipped of converted.skipped) {
+        report.push({ file: `${file.name}#${skipped.label}`, status: 'skipped', reason: skipped.reason, format: converted.format });
+      }
+      for (const entry of converted.entries) {
+        pending.push({
+          row: {
+            ...row,
+            file: multiple ? `${file.name}#${entry.label}` : file.name,
+            format: converted.format,
+            account_name: entry.maFile.account_name || null,
+            warnings: entry.missing
+          },
+          maFile: entry.maFile
+        });
+      }
+      for (const entry of converted.otp) {
+        pendingOtp.push({
+          row: {
+            ...row,
+            file: multiple ? `${file.name}#${entry.label}` : file.name,
+            format: converted.format,
+            kind: 'otp',
+            account_name: [entry.otp.issuer, entry.otp.name].filter(Boolean).join(': ') || null
+          },
+          otp: entry.otp
+        });
+      }
+    } catch (err) {
+      if (err.code === 'SDA_PASSKEY_REQUIRED' || err.code === 'BAD_SDA_PASSKEY') {
+        needsPasskey = true;
+      }
+      report.push({
+        ...row,
+        status: 'failed',
+        reason: err.code === 'SDA_PASSKEY_REQUIRED' ? 'Encrypted, passkey required' : err.message,
+        code: err.code || null
+      });
+    }
+  }
+
+  // Authenticator apps only keep the TOTP secret. A SteamID64 supplied with the
+  // request fills the gap, but only when a single entry is missing one.
+  const withoutSteamId = pending.filter(p => !p.maFile.steamid);
+  if (options.steamid && withoutSteamId.length === 1) {
+    withoutSteamId[0].maFile.steamid = String(options.steamid);
+  }
+
+  const existing = new Map(loadAccounts().map(a => [a.steamid, a.raw_mafile]));
+  const seen = new Set();
+
+  for (const { row, maFile: converted } of pending) {
+    try {
+      if (!converted.steamid) {
+        throw new Error(withoutSteamId.length === 1
+          ? 'No SteamID64 in this export; enter the SteamID64 of the account'
+          : 'No SteamID64 in this export; import the entry on its own and enter its SteamID64');
+      }
+      if (!/^\d{17}$/.test(String(converted.steamid))) {
+        throw new Error(`Invalid SteamID64: ${converted.steamid}`);
+      }
+      const maFile = normalizeMaFile(converted);
+      row.steamid = maFile.steamid;
+      if (!maFile.shared_secret) {
+        throw new Error('Missing shared_secret');
+      }
+      if (seen.has(maFile.steamid)) {
+        report.push({ ...row, status: 'duplicate', reason: 'Same account appears earlier in this import' });
+        continue;
+      }
+      seen.add(maFile.steamid);
+      const previous = existing.get(maFile.steamid);
+      if (previous && stableStringify(previous) === stableStringify(maFile)) {
+        report.push({ ...row, status: 'duplicate', reason: 'Identical to the stored account' });
+        continue;
+      }
+      await addAccountFromMaFile(maFile);
+      report.push({ ...row, status: previous ? 'updated' : 'imported' });
+    } catch (err) {
+      report.push({ ...row, status: 'failed', reason: err.message, code: err.code || null });
+    }
+  }
+
+  if (pendingOtp.length) {
+    try {
+      const results = await addOtpEntries(pendingOtp.map(p => p.otp));
+      results.forEach((result, i) => {
+        report.push({ ...pendingOtp[i].row, status: result.status, reason: result.reason, code: result.code });
+      });
+    } catch (err) {
+      for (const { row } of pendingOtp) {
+        report.push({ ...row, status: 'failed', reason: err.message, code: err.code || null });
+      }
+    }
+  }
+
+  console.log('[Import] Bulk import finished:', summarize(report));
+  const needsSteamId = report.some(row => row.status === 'failed' && /^No SteamID64/.test(row.reason || ''));
+  return { report, summary: summarize(report), needsPasskey, needsSteamId };
+}
+
+module.exports = { importMaFiles };
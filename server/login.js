@@ -25,10 +25,7 @@ function loginAccount(account, password) {
 
     const community = new SteamCommunity();
 
-    const twoFactorCode = generateSteamGuardCode(
-      account.shared_secret,
-      Date.now()
-    );
+    const twoFactorCode = generateSteamGuardCode(account.shared_secret);
 
     const loginDetails = {
       accountName: account.account_name,
@@ -78,13 +75,15 @@ function loginAccount(account, password) {
           sessionID,
           steamLoginSecure,
           oAuthToken || null
-        );
-
-        console.log(
-          '[LoginAccount] Session cookies updated for account',
-          account.id
-        );
-        resolve();
+        )
+          .then(() => {
+            console.log(
+              '[LoginAccount] Session cookies updated for account',
+              account.id
+            );
+            resolve();
+          })
+          .catch(reject);
       }
     );
   });
@@ -0,0 +1,183 @@
+const crypto = require('crypto');
+const { base32Decode } = require('./base32');
+const { getSteamTimeMs } = require('./steamTime');
+const { loadOtpStore, updateOtpStore, normalizeGroups } = require('./storage');
+
+const OTP_ALGORITHMS = ['SHA1', 'SHA256', 'SHA512'];
+const OTP_TYPES = ['totp', 'hotp'];
+
+function otpError(code) {
+  const err = new Error(code);
+  err.code = code;
+  return err;
+}
+
+// Accepts the field names of otpauth URIs, Aegis and andOTP alike.
+function normalizeOtpEntry(input) {
+  const type = String(input.type || 'totp').toLowerCase();
+  if (!OTP_TYPES.includes(type)) throw otpError('OTP_TYPE_INVALID');
+
+  const secret = String(input.secret || '').toUpperCase().replace(/[\s-]/g, '').replace(/=+$/, '');
+  let key;
+  try {
+    key = base32Decode(secret);
+  } catch {
+    throw otpError('OTP_SECRET_INVALID');
+  }
+  if (key.length < 10) throw otpError('OTP_SECRET_INVALID');
+
+  const algorithm = String(input.algorithm || input.algo || 'SHA1').toUpperCase().replace('-', '');
+  if (!OTP_ALGORITHMS.includes(algorithm)) throw otpError('OTP_ALGORITHM_INVALID');
+
+  const digits = Number(input.digits ?? 6);
+  if (!Number.isInteger(digits) || digits < 6 || digits > 8) throw otpError('OTP_DIGITS_INVALID');
+
+  const period = Number(input.period ?? 30);
+  if (type === 'totp' && (!Number.isInteger(period) || period < 1 || period > 300)) {
+    throw otpError('OTP_PERIOD_INVALID');
+  }
+
+  const counter = Number(input.counter ?? 0);
+  if (type === 'hotp' && (!Number.isInteger(counter) || counter < 0)) throw otpError('OTP_COUNTER_INVALID');
+
+  const issuer = String(input.issuer || '').trim();
+  const name = String(input.name || input.label || '').trim();
+  if (!issuer && !name) throw otpError('OTP_NAME_REQUIRED');
+
+  return {
+    type,
+    issuer,
+    name,
+    secret,
+    algorithm,
+    digits,
+    period: type === 'totp' ? period : null,
+    counter: type === 'hotp' ? counter : null
+  };
+}
+
+// RFC 4226 dynamic truncation; TOTP (RFC 6238) is HOTP over the time step.
+function generateHotp(entry, counter) {
+  const buffer = Buffer.alloc(8);
+  buffer.writeBigUInt64BE(BigInt(counter));
+  const hmac = crypto.createHmac(entry.algorithm.toLowerCase(), base32Decode(entry.secret)).update(buffer).digest();
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const value = hmac.readUInt32BE(offset) & 0x7fffffff;
+  return String(value % 10 ** entry.digits).padStart(entry.digits, '0');
+}
+
+function generateOtp(entry, timestampMs = getSteamTimeMs(), ahead = 0) {
+  if (entry.type === 'hotp') return generateHotp(entry, entry.counter + ahead);
+  return generateHotp(entry, Math.floor(timestampMs / (entry.period * 1000)) + ahead);
+}
+
+function toPublicEntry(entry) {
+  const { secret, ...rest } = entry;
+  return rest;
+}
+
+function listOtpEntries() {
+  return loadOtpStore().entries.map(toPublicEntry);
+}
+
+function sameSecret(a, b) {
+  return a.secret === b.secret && a.issuer === b.issuer && a.name === b.name;
+}
+
+// Returns one result per input, in order: imported, duplicate or failed.
+async function addOtpEntries(inputs) {
+  const results = [];
+  await updateOtpStore(store => {
+    for (const input of inputs) {
+      try {
+        const entry = normalizeOtpEntry(input);
+        if (store.entries.some(existing => sameSecret(existing, entry))) {
+          results.push({ status: 'duplicate', reason: 'Identical to a stored entry' });
+          continue;
+        }
+        const record = {
+          id: crypto.randomBytes(6).toString('hex'),
+          ...entry,
+          groups: normalizeGroups(input.groups),
+          createdAt: new Date().toISOString()
+        };
+        store.entries.push(record);
+        results.push({ status: 'imported', entry: toPublicEntry(record) });
+      } catch (err) {
+        results.push({ status: 'failed', reason: err.message, code: err.code || null });
+      }
+    }
+  });
+  const imported = results.filter(r => r.status === 'imported').length;
+  if (imported) console.log(`[OTP] Added ${imported} entr${imported === 1 ? 'y' : 'ies'}`);
+  return results;
+}
+
+function updateOtpEntry(id, changes) {
+  return updateOtpStore(store => {
+    const entry = store.entries.find(e => e.id === id);
+    if (!entry) throw otpError('OTP_NOT_FOUND');
+    if (changes.issuer !== undefined) entry.issuer = String(changes.issuer).trim();
+    if (changes.name !== undefined) entry.name = String(changes.name).trim();
+    if (!entry.issuer && !entry.name) throw otpError('OTP_NAME_REQUIRED');
+    if (changes.groups !== undefined) entry.groups = normalizeGroups(changes.groups);
+    return toPublicEntry(entry);
+  });
+}
+
+async function removeOtpEntry(id) {
+  await updateOtpStore(store => {
+    const index = store.entries.findIndex(e => e.id === id);
+    if (index === -1) throw otpError('OTP_NOT_FOUND');
+    store.entries.splice(index, 1);
+  });
+  console.log(`[OTP] Removed entry ${id}`);
+}
+
+// HOTP codes are single use, so moving on to the next one is explicit.
+function advanceHotp(id) {
+  return updateOtpStore(store => {
+    const entry = store.entries.find(e => e.id === id);
+    if (!entry) throw otpError('OTP_NOT_FOUND');
+    if (entry.type !== 'hotp') throw otpError('OTP_NOT_HOTP');
+    entry.counter++;
+    return toPublicEntry(entry);
+  });
+}
+
+// Same shape as the Steam entries of getCodeSnapshot, with kind 'otp' and
+// the timing of each entry's own period.
+function getOtpCodes(entries, nowMs = getSteamTimeMs()) {
+  return entries.map(entry => {
+    const periodMs = entry.type === 'totp' ? entry.period * 1000 : null;
+    const validForMs = periodMs ? periodMs - (nowMs % periodMs) : null;
+    return {
+      id: entry.id,
+      kind: 'otp',
+      type: entry.type,
+      issuer: entry.issuer,
+      account_name: entry.name,
+      groups: entry.groups || [],
+      digits: entry.digits,
+      algorithm: entry.algorithm,
+      period: entry.period,
+      counter: entry.counter,
+      valid_for_seconds: validForMs === null ? null : Math.ceil(validForMs / 1000),
+      valid_for_ms: validForMs,
+      code: generateOtp(entry, nowMs),
+      next_code: generateOtp(entry, nowMs, 1)
+    };
+  });
+}
+
+module.exports = {
+  OTP_ALGORITHMS,
+  normalizeOtpEntry,
+  generateOtp,
+  listOtpEntries,
+  addOtpEntries,
+  updateOtpEntry,
+  removeOtpEntry,
+  advanceHotp,
+  getOtpCodes
+};
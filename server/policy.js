@@ -0,0 +1,227 @@
+const crypto = require('crypto');
+const { loadPolicyStore, updatePolicyStore } = require('./storage');
+const { CONFIRMATION_KINDS, getConfirmationKind, fetchConfirmations } = require('./confirmations');
+const { getRichConfirmationDetails, parsePrice } = require('./confirmationDetails');
+
+const RULE_ACTIONS = ['accept', 'decline', 'hold'];
+const MATCH_KEYS = ['types', 'partners', 'appids', 'maxGiveItems', 'maxReceiveItems', 'maxValueLoss', 'minPrice', 'maxPrice'];
+const VALUE_EPSILON = 0.005;
+
+// Bumped on every save so cached decisions are not reused with old rules.
+let policyVersion = 0;
+
+function policyError(message) {
+  const err = new Error(message);
+  err.code = 'POLICY_INVALID';
+  return err;
+}
+
+function numberField(value, label, integer) {
+  const number = Number(value);
+  if (!Number.isFinite(number) || number < 0 || (integer && !Number.isInteger(number))) {
+    throw policyError(`${label} must be a ${integer ? 'whole ' : ''}number of 0 or more`);
+  }
+  return number;
+}
+
+function listField(value, label) {
+  if (!Array.isArray(value) || value.length === 0) throw policyError(`${label} must be a non-empty list`);
+  return value;
+}
+
+function normalizeRule(input, index) {
+  const label = `Rule ${index + 1}`;
+  if (!input || typeof input !== 'object') throw policyError(`${label} is not an object`);
+  if (!RULE_ACTIONS.includes(input.action)) throw policyError(`${label}: action must be one of ${RULE_ACTIONS.join(', ')}`);
+
+  const match = input.match || {};
+  const unknown = Object.keys(match).filter(key => !MATCH_KEYS.includes(key));
+  if (unknown.length) throw policyError(`${label}: unknown condition ${unknown.join(', ')}`);
+
+  const kinds = [...Object.values(CONFIRMATION_KINDS), 'unknown'];
+  const normalized = {};
+  if (match.types !== undefined) {
+    normalized.types = listField(match.types, `${label}: types`).map(String);
+    const bad = normalized.types.filter(t => !kinds.includes(t));
+    if (bad.length) throw policyError(`${label}: unknown type ${bad.join(', ')} (known: ${kinds.join(', ')})`);
+  }
+  // Without types an accept rule would also take api_key, phone_change and
+  // account_recovery confirmations.
+  if (input.action === 'accept' && !normalized.types) {
+    throw policyError(`${label}: accept rules must list the types they apply to`);
+  }
+  if (match.partners !== undefined) {
+    normalized.partners = listField(match.partners, `${label}: partners`).map(p => String(p).trim());
+    const bad = normalized.partners.filter(p => !/^\d{17}$/.test(p));
+    if (bad.length) throw policyError(`${label}: partners must be SteamID64s (${bad.join(', ')})`);
+  }
+  if (match.appids !== undefined) {
+    normalized.appids = listField(match.appids, `${label}: appids`).map(a => numberField(a, `${label}: appid`, true));
+  }
+  for (const key of ['maxGiveItems', 'maxReceiveItems']) {
+    if (match[key] !== undefined) normalized[key] = numberField(match[key], `${label}: ${key}`, true);
+  }
+  for (const key of ['maxValueLoss', 'minPrice', 'maxPrice']) {
+    if (match[key] !== undefined) normalized[key] = numberField(match[key], `${label}: ${key}`, false);
+  }
+
+  return {
+    id: input.id ? String(input.id) : crypto.randomBytes(4).toString('hex'),
+    name: String(input.name || '').trim() || label,
+    enabled: input.enabled !== false,
+    action: input.action,
+    match: normalized
+  };
+}
+
+function normalizeRules(rules) {
+  if (!Array.isArray(rules)) throw policyError('rules must be a list');
+  return rules.map(normalizeRule);
+}
+
+function getPolicies() {
+  return loadPolicyStore();
+}
+
+async function setPolicyRules(steamid, rules) {
+  const normalized = normalizeRules(rules);
+  await updatePolicyStore(store => {
+    if (!steamid) store.global = normalized;
+    else if (normalized.length) store.accounts[steamid] = normalized;
+    else delete store.accounts[steamid];
+  });
+  policyVersion++;
+  console.log(`[Policy] Saved ${normalized.length} ${steamid ? `rule(s) for ${steamid}` : 'global rule(s)'}`);
+  return normalized;
+}
+
+function getPolicyVersion() {
+  return policyVersion;
+}
+
+// Account rules are checked before global ones; the first enabled match wins.
+function getRulesFor(steamid, store = loadPolicyStore()) {
+  return [
+    ...(store.accounts[steamid] || []).map(rule => ({ ...rule, scope: 'account' })),
+    ...store.global.map(rule => ({ ...rule, scope: 'global' }))
+  ].filter(rule => rule.enabled);
+}
+
+// What rules are evaluated against: the getlist entry plus, when it could be
+// loaded, the output of getRichConfirmationDetails.
+function describeConfirmation(conf, details) {
+  const give = details?.youGiveItems || [];
+  const receive = details?.youReceiveItems || [];
+  const kind = getConfirmationKind(conf.type);
+  return {
+    kind,
+    partner: details?.partner?.steamid || null,
+    giveItems: give.length,
+    receiveItems: receive.length,
+    appids: [...new Set([...give, ...receive].map(i => i.appid))],
+    unpricedGiveItems: details?.totals ? details.totals.unpricedGiveItems : give.length,
+    giveValue: details?.totals ? details.totals.giveValue : null,
+    receiveValue: details?.totals ? details.totals.receiveValue : null,
+    price: kind === 'market' ? details?.listing?.buyerPays?.amount ?? parsePrice((conf.summary || [])[0]) : null,
+    detailsLoaded: !!details && !details.error
+  };
+}
+
+// Returns the first failed condition, or null when every condition holds.
+// Anything that cannot be checked (no details, unpriced items) fails.
+function checkRule(rule, facts) {
+  const m = rule.match;
+  // Accept rules saved before types were required never match.
+  if (rule.action === 'accept' && !m.types) return 'accept rule without types';
+  if (m.types && !m.types.includes(facts.kind)) return `type is ${facts.kind}`;
+  const needsTrade = m.partners || m.appids || m.maxGiveItems !== undefined || m.maxReceiveItems !== undefined || m.maxValueLoss !== undefined;
+  if (needsTrade && facts.kind !== 'trade') return 'not a trade';
+  if (needsTrade && !facts.detailsLoaded) return 'trade details unavailable';
+  if (m.partners && !m.partners.includes(facts.partner)) return `partner ${facts.partner || 'unknown'} not allowed`;
+  if (m.appids && facts.appids.some(a => !m.appids.includes(a))) return `items from appid ${facts.appids.filter(a => !m.appids.includes(a)).join(', ')}`;
+  if (m.maxGiveItems !== undefined && facts.giveItems > m.maxGiveItems) return `gives ${facts.giveItems} items`;
+  if (m.maxReceiveItems !== undefined && facts.receiveItems > m.maxReceiveItems) return `receives ${facts.receiveItems} items`;
+  if (m.maxValueLoss !== undefined) {
+    if (facts.unpricedGiveItems > 0) return `${facts.unpricedGiveItems} given item(s) without a price`;
+    const loss = facts.giveValue - facts.receiveValue;
+    if (loss > m.maxValueLoss + VALUE_EPSILON) return `value loss ${loss.toFixed(2)}`;
+  }
+  if (m.minPrice !== undefined || m.maxPrice !== undefined) {
+    if (facts.price === null) return 'no listing price';
+    if (m.minPrice !== undefined && facts.price < m.minPrice) return `price ${facts.price} below ${m.minPrice}`;
+    if (m.maxPrice !== undefined && facts.price > m.maxPrice) return `price ${facts.price} above ${m.maxPrice}`;
+  }
+  return null;
+}
+
+// Null when no rule matched, so callers can fall back to the manifest flags.
+function evaluateRules(rules, facts) {
+  const trace = rules.map(rule => ({ id: rule.id, name: rule.name, scope: rule.scope, failed: checkRule(rule, facts) }));
+  const matched = trace.find(t => t.failed === null);
+  if (!matched) return { action: null, rule: null, trace };
+  const rule = rules.find(r => r.id === matched.id && r.scope === matched.scope);
+  return { action: rule.action, rule: { id: rule.id, name: rule.name, scope: rule.scope }, trace };
+}
+
+async function loadDetails(account, conf) {
+  try {
+    return await getRichConfirmationDetails(account, {
+      confirmationId: conf.id,
+      key: conf.nonce,
+      type: conf.type,
+      creatorId: conf.creator_id
+    });
+  } catch (err) {
+    if (err.message === 'LOGIN_REQUIRED') throw err;
+    return { error: err.message };
+  }
+}
+
+async function decideConfirmation(account, conf, rules) {
+  const details = rules.length ? await loadDetails(account, conf) : null;
+  const facts = describeConfirmation(conf, details);
+  const result = evaluateRules(rules, facts);
+  if (result.action) return { ...result, source: 'rule', facts };
+  const flag = { trade: 'trades', market: 'market' }[facts.kind];
+  if (flag && account.auto_confirm?.[flag]) return { ...result, action: 'accept', source: 'flag', facts };
+  return { ...result, action: 'hold', source: 'default', facts };
+}
+
+// "What would happen" for everything pending right now. Unsaved rules can be
+// passed in to try them before saving; nothing is accepted or declined.
+async function dryRunPolicy(account, override = null) {
+  const store = loadPolicyStore();
+  if (override) {
+    if (override.global !== undefined) store.global = normalizeRules(override.global);
+    if (override.account !== undefined) store.accounts[account.steamid] = normalizeRules(override.account);
+  }
+  const rules = getRulesFor(account.steamid, store);
+  const { conf } = await fetchConfirmations(account);
+  const results = [];
+  for (const c of conf) {
+    const decision = await decideConfirmation(account, c, rules);
+    results.push({
+      id: c.id,
+      type: c.type,
+      kind: decision.facts.kind,
+      headline: c.headline,
+      summary: c.summary,
+      action: decision.action,
+      source: decision.source,
+      rule: decision.rule,
+      trace: decision.trace,
+      facts: decision.facts
+    });
+  }
+  return results;
+}
+
+module.exports = {
+  RULE_ACTIONS,
+  getPolicies,
+  setPolicyRules,
+  getPolicyVersion,
+  getRulesFor,
+  decideConfirmation,
+  dryRunPolicy
+};
@@ -1,7 +1,8 @@
 
 const { HttpsProxyAgent } = require('https-proxy-agent');
+const { getConfig } = require('./config');
 
-const PROXY_URL = null; 
+const PROXY_URL = getConfig().proxy;
 
 function getAgent() {
   if (PROXY_URL) {
@@ -2,16 +2,48 @@ const path = require('path');
 const express = require('express');
 const bodyParser = require('body-parser');
 const cors = require('cors');
+const { getConfig, getPublicConfig } = require('./config');
 const { getRichConfirmationDetails } = require('./confirmationDetails');
-const { generateSteamGuardCode } = require('./steamGuard');
+const {
+  generateSteamGuardCode,
+  verifySteamGuardCode,
+  listSteamGuardCodes,
+  getCodeSnapshot
+} = require('./steamGuard');
+const { alignTime, startTimeSync, getSteamTimeMs, getTimeStatus } = require('./steamTime');
 const {
   loadAccounts,
   addAccountFromMaFile,
   getManifestSettings,
   getSessionCookiesForAccount,
-  isSessionValid
+  isSessionValid,
+  verifyPasskey,
+  isVaultEncrypted,
+  isVaultLocked,
+  changeVaultPasskey,
+  recoverVaultRekey,
+  removeAccount,
+  listTrash,
+  restoreAccount,
+  purgeTrash,
+  clearSessionForAccount,
+  getSessionStatuses,
+  setAccountGroups,
+  setAutoConfirmFlags,
+  loadOtpStore
 } = require('./storage');
+const vault = require('./vault');
+const auth = require('./auth');
+const apiTokens = require('./apiTokens');
+const events = require('./events');
 const { fetchConfirmations, actOnConfirmations } = require('./confirmations');
+const { startAutoConfirm, runAutoConfirm, getAutoConfirmStatus } = require('./autoConfirm');
+const policy = require('./policy');
+const { CONFIRMATION_KINDS } = require('./confirmations');
+const { importMaFiles } = require('./importer');
+const { convertImport } = require('./importFormats');
+const { exportAccounts } = require('./exporter');
+const otp = require('./otp');
 const { loginAccount } = require('./login');
 const {
   setupLogin,
@@ -33,9 +65,29 @@ const {
 } = require('./accountManagement');
 
 const app = express();
-const PORT = 3000;
+const config = getConfig();
+const PORT = config.port;
+const HOST = config.host;
+const TRASH_RETENTION_DAYS = config.trashRetentionDays;
+const ALLOWED_ORIGINS = [
+  `http://localhost:${PORT}`,
+  `http://127.0.0.1:${PORT}`,
+  ...(['127.0.0.1', 'localhost', '0.0.0.0', '::'].includes(HOST) ? [] : [`http://${HOST}:${PORT}`]),
+  ...config.allowedOrigins
+];
 
-app.use(cors());
+// The UI is served from this app, so other origins get no CORS headers and
+// are refused outright; a page can still send simple requests without reading
+// the answer, and those must not reach the API either.
+app.use(cors({ origin: ALLOWED_ORIGINS }));
+app.use('/api', (req, res, next) => {
+  const origin = req.get('Origin');
+  if (origin && !ALLOWED_ORIGINS.includes(origin)) {
+    console.warn(`[Security] Rejected ${req.method} ${req.originalUrl} from origin ${origin}`);
+    return res.status(403).json({ error: 'ORIGIN_NOT_ALLOWED' });
+  }
+  next();
+});
 app.use(bodyParser.json({ limit: '50mb' }));
 app.use(express.static(path.join(__dirname, '..', 'public')));
 
@@ -43,38 +95,652 @@ app.get('/', (req, res) =>
   res.sendFile(path.join(__dirname, '..', 'public', 'index.html'))
 );
 
+const PUBLIC_API_PATHS = ['/auth/status', '/auth/login', '/auth/setup'];
+const SAFE_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+function isLoopback(req) {
+  return ['127.0.0.1', '::1', '::ffff:127.0.0.1'].includes(req.socket.remoteAddress);
+}
+
+// Routes an API token may call, keyed to the scope it needs. A null scope
+// accepts any token; the first capture group is the account the route acts on.
+const TOKEN_ROUTES = [
+  { method: 'GET', pattern: /^\/accounts$/, scope: null },
+  { method: 'GET', pattern: /^\/accounts\/([^/]+)\/code$/, scope: 'codes' },
+  { method: 'GET', pattern: /^\/codes$/, scope: 'codes' },
+  { method: 'POST', pattern: /^\/accounts\/([^/]+)\/code\/verify$/, scope: 'codes' },
+  { method: 'GET', pattern: /^\/accounts\/([^/]+)\/codes$/, scope: 'codes' },
+  { method: 'GET', pattern: /^\/events$/, scope: null },
+  { method: 'GET', pattern: /^\/accounts\/([^/]+)\/(session-status|session-info|session\/validate)$/, scope: null },
+  { method: 'GET', pattern: /^\/accounts\/([^/]+)\/confirmations$/, scope: 'confirmations:read' },
+  { method: 'POST', pattern: /^\/accounts\/([^/]+)\/confirmations\/details$/, scope: 'confirmations:read' },
+  { method: 'POST', pattern: /^\/accounts\/([^/]+)\/confirmations\/act$/, scope: 'confirmations:act' },
+  { method: 'GET', pattern: /^\/accounts\/([^/]+)\/(security-status|devices|backup-codes)$/, scope: 'security' },
+  { method: 'POST', pattern: /^\/accounts\/([^/]+)\/(devices\/[^/]+\/remove|devices\/remove-all|authenticator\/remove)$/, scope: 'security' },
+  { method: '*', pattern: /^\/security\/([^/]+)\//, scope: 'security' },
+  { method: 'POST', pattern: /^\/export$/, scope: 'export' },
+  { method: 'GET', pattern: /^\/time$/, scope: null }
+];
+
+function authorizeToken(token, req, res, next) {
+  let record;
+  try {
+    record = apiTokens.authenticateToken(token);
+  } catch (err) {
+    return res.status(401).json({ error: err.code || 'TOKEN_INVALID' });
+  }
+  const route = TOKEN_ROUTES.find(r => (r.method === '*' || r.method === req.method) && r.pattern.test(req.path));
+  if (!route) {
+    return res.status(403).json({ error: 'TOKEN_ROUTE_NOT_ALLOWED' });
+  }
+  if (route.scope && !record.scopes.includes(route.scope)) {
+    return res.status(403).json({ error: 'TOKEN_SCOPE_MISSING', scope: route.scope });
+  }
+  const accountId = (req.path.match(route.pattern) || [])[1];
+  let steamids = accountId ? [decodeURIComponent(accountId)] : [];
+  if (route.scope === 'export') {
+    // Express 5 leaves req.body undefined when no JSON body was sent.
+    const body = req.body || {};
+    if (!req.body) {
+      return res.status(400).json({ error: 'BODY_REQUIRED' });
+    }
+    if (body.steamids !== undefined && !Array.isArray(body.steamids)) {
+      return res.status(400).json({ error: 'INVALID_STEAMIDS' });
+    }
+    steamids = body.steamids || (body.steamid ? [body.steamid] : []);
+    if (steamids.length === 0 && (record.accounts.length || record.groups.length)) {
+      return res.status(403).json({ error: 'TOKEN_ACCOUNT_FORBIDDEN' });
+    }
+  }
+  if (steamids.some(id => !apiTokens.tokenAllowsAccount(record, id))) {
+    return res.status(403).json({ error: 'TOKEN_ACCOUNT_FORBIDDEN' });
+  }
+  apiTokens.recordUsage(record, req);
+  req.apiToken = record;
+  next();
+}
+
+// The session cookie is SameSite=Strict and HttpOnly; state changing requests
+// must also echo the per-session CSRF token the SPA got at login. Scripts use
+// bearer tokens instead, which browsers never attach on their own.
+function requireAuth(req, res, next) {
+  if (PUBLIC_API_PATHS.includes(req.path)) return next();
+  const bearer = (req.get('Authorization') || '').match(/^Bearer\s+(\S+)$/i);
+  if (bearer) return authorizeToken(bearer[1], req, res, next);
+  const session = auth.getSession(auth.readSessionCookie(req));
+  if (!session) {
+    return res.status(401).json({ error: 'AUTH_REQUIRED' });
+  }
+  if (!SAFE_METHODS.includes(req.method) && req.get('X-CSRF-Token') !== session.csrfToken) {
+    return res.status(403).json({ error: 'CSRF_INVALID' });
+  }
+  req.authSession = session;
+  next();
+}
+
+app.use('/api', requireAuth);
+
+app.get('/api/auth/status', (req, res) => {
+  const session = auth.getSession(auth.readSessionCookie(req));
+  res.json({
+    configured: auth.isConfigured(),
+    authenticated: !!session,
+    csrfToken: session ? session.csrfToken : null
+  });
+});
+
+app.post('/api/auth/setup', async (req, res) => {
+  if (!isLoopback(req)) {
+    return res.status(403).json({ error: 'SETUP_LOCAL_ONLY' });
+  }
+  try {
+    await auth.setupPassword(req.body.password);
+    const session = await auth.login(req.body.password);
+    res.setHeader('Set-Cookie', auth.sessionCookie(session));
+    res.json({ success: true, csrfToken: session.csrfToken });
+  } catch (err) {
+    if (err.code === 'ALREADY_CONFIGURED') {
+      return res.status(409).json({ error: err.code });
+    }
+    if (err.code === 'PASSWORD_TOO_SHORT') {
+      return res.status(400).json({ error: err.code });
+    }
+    console.error('[Auth] Setup failed:', err.message);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.post('/api/auth/login', async (req, res) => {
+  try {
+    if (!auth.isConfigured()) {
+      return res.status(409).json({ error: 'AUTH_NOT_CONFIGURED' });
+    }
+    const session = await auth.login(req.body.password);
+    res.setHeader('Set-Cookie', auth.sessionCookie(session));
+    res.json({ success: true, csrfToken: session.csrfToken });
+  } catch (err) {
+    if (err.code === 'BAD_PASSWORD') {
+      console.warn(`[Auth] Failed login from ${req.socket.remoteAddress}`);
+      return res.status(401).json({ error: err.code });
+    }
+    if (err.code === 'TOO_MANY_ATTEMPTS') {
+      return res.status(429).json({ error: err.code });
+    }
+    console.error('[Auth] Login failed:', err.message);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.post('/api/auth/logout', (req, res) => {
+  auth.destroySession(req.authSession.id);
+  res.setHeader('Set-Cookie', auth.sessionCookie(null));
+  res.json({ success: true });
+});
+
+app.post('/api/auth/password', async (req, res) => {
+  try {
+    await auth.changePassword(req.body.currentPassword, req.body.newPassword, req.authSession.id);
+    res.json({ success: true });
+  } catch (err) {
+    if (err.code === 'BAD_PASSWORD') {
+      return res.status(401).json({ error: err.code });
+    }
+    if (err.code === 'PASSWORD_TOO_SHORT') {
+      return res.status(400).json({ error: err.code });
+    }
+    console.error('[Auth] Password change failed:', err.message);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Background polls (the code refresher) and API tokens must not keep an idle
+// vault unlocked.
+function requireUnlocked(req, res, next) {
+  if (isVaultLocked()) {
+    return res.status(423).json({ error: 'VAULT_LOCKED' });
+  }
+  if (req.get('X-Background-Poll') !== '1' && !req.apiToken) vault.touch();
+  next();
+}
+
+app.use('/api/accounts', requireUnlocked);
+app.use('/api/security', requireUnlocked);
+app.use('/api/trash', requireUnlocked);
+app.use('/api/export', requireUnlocked);
+app.use('/api/codes', requireUnlocked);
+app.use('/api/otp', requireUnlocked);
+app.use('/api/events', requireUnlocked);
+
+vault.onLock(() => {
+  if (isVaultEncrypted()) events.closeAll('vault-locked');
+});
+
+// Steam rejected the stored web session; live clients are told so they can
+// prompt for a login.
+function loginRequired(res, steamid) {
+  events.publish('session-expired', { steamid }, { steamid });
+  return res.status(401).json({ error: 'LOGIN_REQUIRED' });
+}
+
 app.get('/api/manifest', (req, res) => {
   res.json({ settings: getManifestSettings() });
 });
 
+app.get('/api/config', (req, res) => {
+  res.json(getPublicConfig());
+});
+
+app.get('/api/time', (req, res) => {
+  res.json(getTimeStatus());
+});
+
+app.post('/api/time/sync', async (req, res) => {
+  await alignTime('SteamTime', { force: true, probeAll: true });
+  res.json(getTimeStatus());
+});
+
+app.get('/api/vault/status', (req, res) => {
+  const encrypted = isVaultEncrypted();
+  res.json({
+    encrypted,
+    entries: getManifestSettings().entries,
+    locked: encrypted && !vault.getPasskey(),
+    ...vault.getVaultState()
+  });
+});
+
+app.post('/api/vault/unlock', (req, res) => {
+  const { passkey } = req.body;
+  if (!passkey) return res.status(400).json({ error: 'Passkey required' });
+  const settings = getManifestSettings();
+  if (!isVaultEncrypted() && settings.entries > 0) {
+    return res.status(409).json({ error: 'Vault is not encrypted' });
+  }
+  if (!verifyPasskey(passkey)) {
+    console.warn('[Vault] Unlock attempt with wrong passkey');
+    return res.status(401).json({ error: 'BAD_PASSKEY' });
+  }
+  vault.unlock(passkey);
+  res.json({ success: true, ...vault.getVaultState() });
+});
+
+app.post('/api/vault/passkey', async (req, res) => {
+  const { currentPasskey, newPasskey, decrypt } = req.body || {};
+  if (!decrypt && !newPasskey) {
+    return res.status(400).json({ error: 'New passkey required' });
+  }
+  if (isVaultEncrypted() && !currentPasskey) {
+    return res.status(400).json({ error: 'Current passkey required' });
+  }
+  try {
+    const result = await changeVaultPasskey(currentPasskey, decrypt ? null : newPasskey);
+    if (result.encrypted) {
+      vault.unlock(newPasskey);
+    } else {
+      vault.lock();
+    }
+    res.json({ success: true, ...result });
+  } catch (err) {
+    console.error('[Vault] Passkey change failed:', err.message);
+    if (err.code === 'BAD_PASSKEY') {
+      return res.status(401).json({ error: 'BAD_PASSKEY' });
+    }
+    if (err.code === 'VAULT_NOT_ENCRYPTED') {
+      return res.status(409).json({ error: 'VAULT_NOT_ENCRYPTED' });
+    }
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.post('/api/vault/lock', (req, res) => {
+  vault.lock();
+  console.log('[Vault] Locked by request');
+  res.json({ success: true });
+});
+
+// Secrets stay on the server; the browser gets what it needs to list accounts
+// and decide which panels apply. Raw maFiles only leave through /api/export.
+function toAccountDto(account, sessionStatuses = {}) {
+  const maFile = account.raw_mafile || {};
+  const session = sessionStatuses[account.steamid];
+  return {
+    id: account.id,
+    account_name: account.account_name,
+    steamid: account.steamid,
+    groups: account.groups || [],
+    auto_confirm: account.auto_confirm || { trades: false, market: false },
+    capabilities: {
+      codes: !!account.shared_secret,
+      confirmations: !!account.identity_secret,
+      revocation: !!maFile.revocation_code
+    },
+    session: session || { status: 'none', createdAt: null, lastUsed: null }
+  };
+}
+
 app.get('/api/accounts', (req, res) => {
-  const accounts = loadAccounts().map(a => ({
-    id: a.id,
-    account_name: a.account_name,
-    steamid: a.steamid,
-    raw_mafile: a.raw_mafile
-  }));
-  res.json({ accounts });
+  try {
+    const sessionStatuses = getSessionStatuses();
+    const accounts = loadAccounts()
+      .filter(a => !req.apiToken || apiTokens.tokenAllowsAccount(req.apiToken, a.steamid))
+      .map(a => toAccountDto(a, sessionStatuses));
+    res.json({ accounts });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
 });
 
-app.post('/api/accounts', (req, res) => {
+app.post('/api/accounts', async (req, res) => {
   try {
     const input = req.body.maFileContent || req.body.maFile;
-    const account = addAccountFromMaFile(input);
+    const converted = typeof input === 'string' ? convertImport(input) : { entries: [{ maFile: input, missing: [] }] };
+    if (converted.entries.length !== 1) {
+      return res.status(400).json({ error: 'Expected exactly one Steam account; use /api/accounts/import for multi-account exports' });
+    }
+    const [entry] = converted.entries;
+    if (!entry.maFile.steamid && req.body.steamid) {
+      entry.maFile.steamid = String(req.body.steamid);
+    }
+    const account = await addAccountFromMaFile(entry.maFile);
     res
       .status(201)
-      .json({ account: { id: account.id, account_name: account.account_name, steamid: account.steamid, raw_mafile: account.raw_mafile } });
+      .json({
+        account: toAccountDto(account, getSessionStatuses()),
+        warnings: entry.missing
+      });
   } catch (err) {
     console.error('Import Error:', err.message);
+    if (err.code === 'VAULT_LOCKED') {
+      return res.status(423).json({ error: 'VAULT_LOCKED' });
+    }
     res.status(400).json({ error: err.message });
   }
 });
 
+app.put('/api/accounts/:id/groups', async (req, res) => {
+  try {
+    const groups = await setAccountGroups(req.params.id, req.body.groups);
+    res.json({ success: true, groups });
+  } catch (err) {
+    if (err.code === 'ACCOUNT_NOT_FOUND') {
+      return res.status(404).json({ error: 'Account not found' });
+    }
+    console.error('[Accounts] Failed to update groups:', err.message);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Flags are the SDA manifest's auto_confirm_trades and
+// auto_confirm_market_transactions; the worker picks them up on its next run.
+app.patch('/api/accounts/:id/auto-confirm', async (req, res) => {
+  const { trades, market } = req.body;
+  if ([trades, market].some(v => v !== undefined && typeof v !== 'boolean')) {
+    return res.status(400).json({ error: 'INVALID_AUTO_CONFIRM' });
+  }
+  try {
+    const autoConfirm = await setAutoConfirmFlags(req.params.id, { trades, market });
+    console.log(`[AutoConfirm] ${req.params.id}: trades ${autoConfirm.trades ? 'on' : 'off'}, market ${autoConfirm.market ? 'on' : 'off'}`);
+    res.json({ success: true, auto_confirm: autoConfirm });
+  } catch (err) {
+    if (err.code === 'ACCOUNT_NOT_FOUND') {
+      return res.status(404).json({ error: 'Account not found' });
+    }
+    console.error('[AutoConfirm] Failed to update flags:', err.message);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.get('/api/auto-confirm', (req, res) => {
+  res.json(getAutoConfirmStatus());
+});
+
+app.post('/api/auto-confirm/run', async (req, res) => {
+  await runAutoConfirm();
+  res.json(getAutoConfirmStatus());
+});
+
+// Confirmation policy: global and per-account rules deciding accept, decline
+// or hold. The auto-confirm worker applies them; dry-run only reports.
+app.get('/api/policy', (req, res) => {
+  res.json({
+    ...policy.getPolicies(),
+    actions: policy.RULE_ACTIONS,
+    kinds: [...Object.values(CONFIRMATION_KINDS), 'unknown']
+  });
+});
+
+function policyError(res, err) {
+  if (err.code === 'POLICY_INVALID') return res.status(400).json({ error: err.code, message: err.message });
+  console.error('[Policy] Request failed:', err.message);
+  res.status(500).json({ error: err.message });
+}
+
+app.put('/api/policy', async (req, res) => {
+  try {
+    res.json({ rules: await policy.setPolicyRules(null, req.body.rules) });
+  } catch (err) {
+    policyError(res, err);
+  }
+});
+
+app.put('/api/accounts/:id/policy', async (req, res) => {
+  try {
+    if (!loadAccounts().some(a => a.id === req.params.id)) {
+      return res.status(404).json({ error: 'Account not found' });
+    }
+    res.json({ rules: await policy.setPolicyRules(req.params.id, req.body.rules) });
+  } catch (err) {
+    policyError(res, err);
+  }
+});
+
+app.post('/api/accounts/:id/policy/dry-run', async (req, res) => {
+  const account = loadAccounts().find(a => a.id === req.params.id);
+  if (!account) return res.status(404).json({ error: 'Account not found' });
+  try {
+    const { global, account: accountRules } = req.body || {};
+    res.json({ results: await policy.dryRunPolicy(account, { global, account: accountRules }) });
+  } catch (err) {
+    if (err.message === 'LOGIN_REQUIRED') return loginRequired(res, req.params.id);
+    if (err.code === 'POLICY_INVALID') return policyError(res, err);
+    res.status(400).json({ error: err.message });
+  }
+});
+
+app.post('/api/accounts/import', async (req, res) => {
+  try {
+    const result = await importMaFiles(req.body.files, {
+      sdaPasskey: req.body.sdaPasskey || null,
+      steamid: req.body.steamid || null
+    });
+    res.json(result);
+  } catch (err) {
+    console.error('[Import] Bulk import failed:', err.message);
+    res.status(400).json({ error: err.message });
+  }
+});
+
+app.delete('/api/accounts/:id', async (req, res) => {
+  try {
+    const item = await removeAccount(req.params.id);
+    await clearSessionForAccount(req.params.id);
+    res.json({ success: true, trashed: { id: item.id, steamid: item.steamid, deletedAt: item.deletedAt } });
+  } catch (err) {
+    if (err.code === 'ACCOUNT_NOT_FOUND') {
+      return res.status(404).json({ error: 'Account not found' });
+    }
+    console.error('[Trash] Remove failed:', err.message);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+const EXPORT_ERROR_STATUS = {
+  UNKNOWN_FORMAT: 400,
+  SINGLE_ACCOUNT_REQUIRED: 400,
+  BUNDLE_PASSWORD_REQUIRED: 400,
+  EXPORT_PASSKEY_REQUIRED: 401,
+  BAD_PASSKEY: 401,
+  ACCOUNT_NOT_FOUND: 404
+};
+
+app.post('/api/export', async (req, res) => {
+  try {
+    const { format, steamid, steamids, passkey, bundlePassword } = req.body || {};
+    if (!format) {
+      return res.status(400).json({ error: 'FORMAT_REQUIRED' });
+    }
+    if (steamids !== undefined && !Array.isArray(steamids)) {
+      return res.status(400).json({ error: 'INVALID_STEAMIDS' });
+    }
+    const result = await exportAccounts(format, { steamid, steamids, passkey, bundlePassword });
+    res.json(result);
+  } catch (err) {
+    const status = EXPORT_ERROR_STATUS[err.code];
+    if (status) {
+      return res.status(status).json({ error: err.code });
+    }
+    console.error('[Export] Failed:', err.message);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.get('/api/tokens', (req, res) => {
+  res.json({ tokens: apiTokens.listTokens(), scopes: apiTokens.TOKEN_SCOPES });
+});
+
+app.post('/api/tokens', async (req, res) => {
+  try {
+    const { name, scopes, accounts, groups, expiresInDays } = req.body;
+    const result = await apiTokens.createToken({ name, scopes, accounts, groups, expiresInDays });
+    res.status(201).json(result);
+  } catch (err) {
+    if (['TOKEN_NAME_REQUIRED', 'INVALID_SCOPES', 'INVALID_ACCOUNTS', 'INVALID_EXPIRY'].includes(err.code)) {
+      return res.status(400).json({ error: err.code });
+    }
+    console.error('[Tokens] Create failed:', err.message);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.delete('/api/tokens/:id', async (req, res) => {
+  try {
+    await apiTokens.revokeToken(req.params.id);
+    res.json({ success: true });
+  } catch (err) {
+    if (err.code === 'TOKEN_NOT_FOUND') {
+      return res.status(404).json({ error: err.code });
+    }
+    console.error('[Tokens] Revoke failed:', err.message);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.get('/api/trash', (req, res) => {
+  try {
+    res.json({ items: listTrash(), retentionDays: TRASH_RETENTION_DAYS });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.post('/api/trash/:trashId/restore', async (req, res) => {
+  try {
+    const item = await restoreAccount(req.params.trashId);
+    res.json({ success: true, steamid: item.steamid });
+  } catch (err) {
+    if (err.code === 'TRASH_ITEM_NOT_FOUND') {
+      return res.status(404).json({ error: 'Trash item not found' });
+    }
+    if (err.code === 'ACCOUNT_EXISTS') {
+      return res.status(409).json({ error: 'An account with this SteamID already exists' });
+    }
+    if (err.code === 'VAULT_LOCKED') return res.status(423).json({ error: err.code });
+    if (err.code === 'BAD_PASSKEY') return res.status(401).json({ error: err.code });
+    console.error('[Trash] Restore failed:', err.message);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.delete('/api/trash/:trashId', async (req, res) => {
+  try {
+    const purged = await purgeTrash(0, req.params.trashId);
+    if (purged.length === 0) return res.status(404).json({ error: 'Trash item not found' });
+    res.json({ success: true });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Every account's current and next code in one request, optionally limited to
+// a group or a name/SteamID search.
+app.get('/api/codes', (req, res) => {
+  try {
+    const group = req.query.group ? String(req.query.group).trim() : null;
+    const query = String(req.query.q || '').trim().toLowerCase();
+    const accounts = loadAccounts()
+      .filter(a => !req.apiToken || apiTokens.tokenAllowsAccount(req.apiToken, a.steamid))
+      .filter(a => !group || (a.groups || []).includes(group))
+      .filter(a => !query || (a.account_name || '').toLowerCase().includes(query) || a.steamid.includes(query));
+    const otpEntries = loadOtpStore().entries
+      .filter(e => !req.apiToken || apiTokens.tokenAllowsOtpEntry(req.apiToken, e))
+      .filter(e => !group || (e.groups || []).includes(group))
+      .filter(e => !query || `${e.issuer} ${e.name}`.toLowerCase().includes(query));
+    const nowMs = getSteamTimeMs();
+    const snapshot = getCodeSnapshot(accounts, nowMs);
+    snapshot.codes.push(...otp.getOtpCodes(otpEntries, nowMs));
+    res.json(snapshot);
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to generate codes' });
+  }
+});
+
+// Generic TOTP/HOTP entries (email, hosting, ...). They share the vault and
+// the code dashboard but have no Steam session, confirmations or devices.
+function otpError(res, err) {
+  if (err.code === 'OTP_NOT_FOUND') return res.status(404).json({ error: err.code });
+  if (err.code === 'VAULT_LOCKED') return res.status(423).json({ error: err.code });
+  if (/^OTP_/.test(err.code || '')) return res.status(400).json({ error: err.code });
+  console.error('[OTP] Request failed:', err.message);
+  res.status(500).json({ error: err.message });
+}
+
+app.get('/api/otp', (req, res) => {
+  try {
+    res.json({ entries: otp.listOtpEntries(), algorithms: otp.OTP_ALGORITHMS });
+  } catch (err) {
+    otpError(res, err);
+  }
+});
+
+app.post('/api/otp', async (req, res) => {
+  try {
+    let input = req.body;
+    if (req.body.uri) {
+      const converted = convertImport(String(req.body.uri));
+      if (converted.entries.length) {
+        return res.status(400).json({ error: 'OTP_STEAM_ENTRY' });
+      }
+      if (converted.otp.length !== 1) {
+        return res.status(400).json({ error: 'OTP_URI_INVALID' });
+      }
+      input = { ...converted.otp[0].otp, groups: req.body.groups };
+    }
+    const [result] = await otp.addOtpEntries([input]);
+    if (result.status === 'failed') return res.status(400).json({ error: result.code || result.reason });
+    if (result.status === 'duplicate') return res.status(409).json({ error: 'OTP_DUPLICATE' });
+    res.status(201).json({ entry: result.entry });
+  } catch (err) {
+    if (err.code === 'UNSUPPORTED_FORMAT') return res.status(400).json({ error: 'OTP_URI_INVALID' });
+    otpError(res, err);
+  }
+});
+
+app.put('/api/otp/:id', async (req, res) => {
+  try {
+    const { issuer, name, groups } = req.body;
+    res.json({ entry: await otp.updateOtpEntry(req.params.id, { issuer, name, groups }) });
+  } catch (err) {
+    otpError(res, err);
+  }
+});
+
+app.delete('/api/otp/:id', async (req, res) => {
+  try {
+    await otp.removeOtpEntry(req.params.id);
+    res.json({ success: true });
+  } catch (err) {
+    otpError(res, err);
+  }
+});
+
+// HOTP codes are counter based; the UI moves on once a code has been used.
+app.post('/api/otp/:id/next', async (req, res) => {
+  try {
+    res.json({ entry: await otp.advanceHotp(req.params.id) });
+  } catch (err) {
+    otpError(res, err);
+  }
+});
+
+// Live stream for the UI and scripts: codes at every window rollover plus
+// confirmation and session events. Tokens only see their scopes and accounts.
+app.get('/api/events', (req, res) => {
+  const bearer = (req.get('Authorization') || '').match(/^Bearer\s+(\S+)$/i);
+  const sessionId = req.authSession ? req.authSession.id : null;
+  events.subscribe(req, res, {
+    token: req.apiToken,
+    group: req.query.group ? String(req.query.group).trim() : null,
+    isAuthorized: req.apiToken
+      ? () => !!apiTokens.authenticateToken(bearer[1])
+      : () => auth.isSessionActive(sessionId)
+  });
+});
+
 app.get('/api/accounts/:id/code', (req, res) => {
   try {
     const account = loadAccounts().find(a => a.id === req.params.id);
     if (!account) return res.status(404).json({ error: 'Account not found' });
-    const now = Date.now();
+    const now = getSteamTimeMs();
     const code = generateSteamGuardCode(account.shared_secret, now);
     const valid_for_seconds = 30 - (Math.floor(now / 1000) % 30);
     res.json({ code, valid_for_seconds });
@@ -83,6 +749,58 @@ app.get('/api/accounts/:id/code', (req, res) => {
   }
 });
 
+const CODE_TOOL_ERRORS = ['INVALID_CODE', 'INVALID_WINDOW', 'INVALID_RANGE', 'RANGE_TOO_LARGE', 'INVALID_TIMESTAMP'];
+
+// Unix seconds or anything Date.parse understands; empty means Steam's now.
+function parseTimestamp(value) {
+  if (value === undefined || value === null || value === '') return getSteamTimeMs();
+  const ms = /^-?\d+(\.\d+)?$/.test(String(value)) ? Number(value) * 1000 : Date.parse(value);
+  if (!Number.isFinite(ms)) {
+    const err = new Error('INVALID_TIMESTAMP');
+    err.code = 'INVALID_TIMESTAMP';
+    throw err;
+  }
+  return ms;
+}
+
+function codeToolError(res, err) {
+  if (CODE_TOOL_ERRORS.includes(err.code)) return res.status(400).json({ error: err.code });
+  if (err.message === 'Missing shared secret') return res.status(400).json({ error: 'NO_SHARED_SECRET' });
+  res.status(500).json({ error: err.message });
+}
+
+// For support: was this code valid around a given time, and how many steps off?
+app.post('/api/accounts/:id/code/verify', (req, res) => {
+  const account = loadAccounts().find(a => a.id === req.params.id);
+  if (!account) return res.status(404).json({ error: 'Account not found' });
+  try {
+    const result = verifySteamGuardCode(account.shared_secret, req.body.code, {
+      past: req.body.past === undefined ? undefined : Number(req.body.past),
+      future: req.body.future === undefined ? undefined : Number(req.body.future),
+      timestampMs: parseTimestamp(req.body.timestamp)
+    });
+    res.json(result);
+  } catch (err) {
+    codeToolError(res, err);
+  }
+});
+
+app.get('/api/accounts/:id/codes', (req, res) => {
+  const account = loadAccounts().find(a => a.id === req.params.id);
+  if (!account) return res.status(404).json({ error: 'Account not found' });
+  try {
+    const from = parseTimestamp(req.query.from);
+    const to = req.query.to === undefined ? from : parseTimestamp(req.query.to);
+    res.json({
+      from: new Date(from).toISOString(),
+      to: new Date(to).toISOString(),
+      codes: listSteamGuardCodes(account.shared_secret, from, to)
+    });
+  } catch (err) {
+    codeToolError(res, err);
+  }
+});
+
 app.post('/api/accounts/:id/confirmations/details', async (req, res) => {
   const account = loadAccounts().find(a => a.id === req.params.id);
   if (!account) return res.status(404).json({ error: 'Account not found' });
@@ -99,7 +817,7 @@ app.post('/api/accounts/:id/confirmations/details', async (req, res) => {
   } catch (err) {
     console.error('Details error:', err.message);
     if (err.message === 'LOGIN_REQUIRED') {
-      return res.status(401).json({ error: 'LOGIN_REQUIRED' });
+      return loginRequired(res, req.params.id);
     }
     res.status(400).json({ error: err.message });
   }
@@ -145,7 +863,7 @@ app.get('/api/accounts/:id/confirmations', async (req, res) => {
   } catch (err) {
     console.error('Conf Error:', err.message);
     if (err.message === 'LOGIN_REQUIRED') {
-      return res.status(401).json({ error: 'LOGIN_REQUIRED' });
+      return loginRequired(res, req.params.id);
     }
     res.status(400).json({ error: err.message });
   }
@@ -177,12 +895,17 @@ app.post('/api/accounts/:id/confirmations/act', async (req, res) => {
       }
     }
     console.log(`[Confirmations] Request validated. Acting on ${confirmations.length} confirmations with op: ${op}`);
-    await actOnConfirmations(account, op, confirmations);
-    res.json({ success: true });
+    const result = await actOnConfirmations(account, op, confirmations);
+    // Partial success is still a 200; results says which items went through.
+    if (result.loginRequired) {
+      if (!result.summary.succeeded) return loginRequired(res, req.params.id);
+      events.publish('session-expired', { steamid: account.steamid }, { steamid: account.steamid });
+    }
+    res.json(result);
   } catch (err) {
     console.error('[Confirmations] Error:', err.message, err.stack);
     if (err.message === 'LOGIN_REQUIRED') {
-      return res.status(401).json({ error: 'LOGIN_REQUIRED' });
+      return loginRequired(res, req.params.id);
     }
     res.status(400).json({ error: err.message });
   }
@@ -251,7 +974,7 @@ app.post('/api/setup/enable', async (req, res) => {
   }
 });
 
-app.post('/api/setup/finalize', async (req, res) => {
+app.post('/api/setup/finalize', requireUnlocked, async (req, res) => {
   const { setupId, smsCode } = req.body;
   try {
     const result = await finalize2FA(setupId, smsCode);
@@ -291,8 +1014,8 @@ app.get('/api/accounts/:id/session-info', (req, res) => {
       accountName: account.account_name,
       steamid: account.steamid,
       age: ageInfo,
-      maxAgeDays: 30,
-      idleTimeoutDays: 7
+      maxAgeDays: config.sessionExpiryDays,
+      idleTimeoutDays: config.sessionIdleDays
     });
   } catch (err) {
     console.error('[Session Info] Error:', err.message);
@@ -349,7 +1072,7 @@ app.post('/api/security/:steamid/devices/signout-everywhere', async (req, res) =
   } catch (err) {
     console.error('[API] signout-everywhere error', err);
     if (err.message === 'LOGIN_REQUIRED' || err.code === 'LOGIN_REQUIRED') {
-      return res.status(401).json({ error: 'LOGIN_REQUIRED' });
+      return loginRequired(res, req.params.steamid);
     }
     res.status(500).json({ error: 'internal_error' });
   }
@@ -364,7 +1087,7 @@ app.get('/api/accounts/:id/devices', async (req, res) => {
   } catch (err) {
     console.error('Devices error:', err.message);
     if (err.message === 'LOGIN_REQUIRED') {
-      return res.status(401).json({ error: 'LOGIN_REQUIRED' });
+      return loginRequired(res, req.params.id);
     }
     res.status(400).json({ error: err.message });
   }
@@ -379,7 +1102,7 @@ app.post('/api/accounts/:id/devices/:deviceId/remove', async (req, res) => {
   } catch (err) {
     console.error('Device removal error:', err.message, err.stack);
     if (err.message === 'LOGIN_REQUIRED') {
-      return res.status(401).json({ error: 'LOGIN_REQUIRED' });
+      return loginRequired(res, req.params.id);
     }
     res.status(400).json({ error: err.message });
   }
@@ -394,7 +1117,7 @@ app.post('/api/accounts/:id/devices/remove-all', async (req, res) => {
   } catch (err) {
     console.error('Remove all devices error:', err.message, err.stack);
     if (err.message === 'LOGIN_REQUIRED') {
-      return res.status(401).json({ error: 'LOGIN_REQUIRED' });
+      return loginRequired(res, req.params.id);
     }
     res.status(400).json({ error: err.message });
   }
@@ -413,7 +1136,7 @@ app.get('/api/security/:steamid/devices', async (req, res) => {
   } catch (err) {
     console.error('[API] Error getting devices:', err.message, err.stack);
     if (err.message === 'LOGIN_REQUIRED') {
-      return res.status(401).json({ error: 'LOGIN_REQUIRED' });
+      return loginRequired(res, req.params.steamid);
     }
     res.status(500).json({ error: err.message });
   }
@@ -432,7 +1155,7 @@ app.delete('/api/security/:steamid/devices/:deviceId', async (req, res) => {
     console.error('[API] Error removing device:', err.message, err.stack);
 
     if (err.message === 'LOGIN_REQUIRED' || err.code === 'LOGIN_REQUIRED') {
-      return res.status(401).json({ error: 'LOGIN_REQUIRED' });
+      return loginRequired(res, req.params.steamid);
     }
 
     if (err.code === 'DEVICE_REVOKE_UNSUPPORTED') {
@@ -456,7 +1179,7 @@ app.delete('/api/security/:steamid/devices/all', async (req, res) => {
   } catch (err) {
     console.error('[API] Error removing all devices:', err.message, err.stack);
     if (err.message === 'LOGIN_REQUIRED') {
-      return res.status(401).json({ error: 'LOGIN_REQUIRED' });
+      return loginRequired(res, req.params.steamid);
     }
     res.status(500).json({ error: err.message });
   }
@@ -475,7 +1198,7 @@ app.post('/api/accounts/:id/authenticator/remove', async (req, res) => {
   } catch (err) {
     console.error('Authenticator removal error:', err.message);
     if (err.message === 'LOGIN_REQUIRED') {
-      return res.status(401).json({ error: 'LOGIN_REQUIRED' });
+      return loginRequired(res, req.params.id);
     }
     res.status(400).json({ error: err.message });
   }
@@ -490,12 +1213,32 @@ app.get('/api/accounts/:id/backup-codes', async (req, res) => {
   } catch (err) {
     console.error('Backup codes error:', err.message);
     if (err.message === 'LOGIN_REQUIRED') {
-      return res.status(401).json({ error: 'LOGIN_REQUIRED' });
+      return loginRequired(res, req.params.id);
     }
     res.status(400).json({ error: err.message });
   }
 });
 
-app.listen(PORT, () =>
-  console.log(`SDA Clone running on http://localhost:${PORT}`)
-);
+function schedulePurge() {
+  if (!TRASH_RETENTION_DAYS) return;
+  const run = () =>
+    purgeTrash(TRASH_RETENTION_DAYS).catch(err =>
+      console.error('[Trash] Purge failed:', err.message)
+    );
+  run();
+  setInterval(run, 24 * 60 * 60 * 1000).unref();
+}
+
+recoverVaultRekey()
+  .then(() => {
+    schedulePurge();
+    startTimeSync();
+    startAutoConfirm();
+    app.listen(PORT, HOST, () =>
+      console.log(`SDA Clone running on http://${HOST}:${PORT}`)
+    );
+  })
+  .catch(err => {
+    console.error('[Storage] Failed to recover data directory:', err.message);
+    process.exit(1);
+  });
@@ -299,13 +299,25 @@ function finalize2FA(setupId, authSmsCode) {
           SessionID: session.sessionID || null
         }
       };
-      addAccountFromMaFile(maFile);
-      console.log('[Setup] maFile saved. Revocation code:', session.secrets.revocation_code);
       PENDING_SETUPS.delete(setupId);
-      resolve({
-        revocation_code: session.secrets.revocation_code,
-        maFile
-      });
+      // Steam has already activated the authenticator at this point, so a
+      // failed save must still hand the maFile back instead of losing it.
+      // Once saved, the secrets only leave through the export route.
+      addAccountFromMaFile(maFile)
+        .then(() => {
+          console.log('[Setup] maFile saved. Revocation code:', session.secrets.revocation_code);
+          resolve({
+            revocation_code: session.secrets.revocation_code
+          });
+        })
+        .catch(saveErr => {
+          console.error('[Setup] Failed to save maFile:', saveErr.message);
+          resolve({
+            revocation_code: session.secrets.revocation_code,
+            maFile,
+            saveError: saveErr.message
+          });
+        });
     });
   });
 }
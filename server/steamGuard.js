@@ -1,9 +1,10 @@
 const crypto = require('crypto');
 const { bufferizeSecret } = require('./steamCrypto');
+const { getSteamTimeMs } = require('./steamTime');
 
 const STEAM_CHARS = '23456789BCDFGHJKMNPQRTVWXY';
 
-function generateSteamGuardCode(sharedSecretInput, timestampMs = Date.now()) {
+function generateSteamGuardCode(sharedSecretInput, timestampMs = getSteamTimeMs()) {
   const sharedSecret = bufferizeSecret(sharedSecretInput);
   if (!sharedSecret) {
     throw new Error('Missing shared secret');
@@ -29,6 +30,106 @@ function generateSteamGuardCode(sharedSecretInput, timestampMs = Date.now()) {
   return code;
 }
 
+const PERIOD_MS = 30 * 1000;
+const MAX_VERIFY_STEPS = 60;
+const MAX_LIST_STEPS = 1000;
+
+function guardError(code) {
+  const err = new Error(code);
+  err.code = code;
+  return err;
+}
+
+// Checks a code against the steps around timestampMs. Every step in the
+// window is computed so the answer takes the same time whether it matches or not.
+function verifySteamGuardCode(sharedSecret, candidate, options = {}) {
+  const code = String(candidate || '').trim().toUpperCase();
+  if (!new RegExp(`^[${STEAM_CHARS}]{5}$`).test(code)) throw guardError('INVALID_CODE');
+  const past = options.past ?? 1;
+  const future = options.future ?? 1;
+  for (const steps of [past, future]) {
+    if (!Number.isInteger(steps) || steps < 0 || steps > MAX_VERIFY_STEPS) throw guardError('INVALID_WINDOW');
+  }
+  const timestampMs = options.timestampMs ?? getSteamTimeMs();
+  const currentStep = Math.floor(timestampMs / PERIOD_MS);
+
+  let match = null;
+  for (let offset = -past; offset <= future; offset++) {
+    const step = currentStep + offset;
+    const stepCode = generateSteamGuardCode(sharedSecret, step * PERIOD_MS);
+    const same = crypto.timingSafeEqual(Buffer.from(stepCode), Buffer.from(code));
+    // The step closest to the timestamp wins if a code repeats in the window.
+    if (same && (!match || Math.abs(offset) < Math.abs(match.offset))) {
+      match = { offset, step };
+    }
+  }
+
+  return {
+    valid: !!match,
+    offset_steps: match ? match.offset : null,
+    offset_seconds: match ? match.offset * 30 : null,
+    time_step: match ? match.step : null,
+    valid_from: match ? new Date(match.step * PERIOD_MS).toISOString() : null,
+    valid_to: match ? new Date((match.step + 1) * PERIOD_MS).toISOString() : null,
+    checked_at: new Date(timestampMs).toISOString(),
+    window: { past, future }
+  };
+}
+
+// Every code whose 30s window overlaps [fromMs, toMs].
+function listSteamGuardCodes(sharedSecret, fromMs, toMs) {
+  if (!Number.isFinite(fromMs) || !Number.isFinite(toMs) || toMs < fromMs) throw guardError('INVALID_RANGE');
+  const firstStep = Math.floor(fromMs / PERIOD_MS);
+  const lastStep = Math.floor(toMs / PERIOD_MS);
+  if (lastStep - firstStep + 1 > MAX_LIST_STEPS) throw guardError('RANGE_TOO_LARGE');
+  const codes = [];
+  for (let step = firstStep; step <= lastStep; step++) {
+    codes.push({
+      time_step: step,
+      valid_from: new Date(step * PERIOD_MS).toISOString(),
+      valid_to: new Date((step + 1) * PERIOD_MS).toISOString(),
+      code: generateSteamGuardCode(sharedSecret, step * PERIOD_MS)
+    });
+  }
+  return codes;
+}
+
+// Current and next code for each account at one instant, shared by
+// GET /api/codes and the live event stream.
+function getCodeSnapshot(accounts, nowMs = getSteamTimeMs()) {
+  const valid_for_ms = 30 * 1000 - (nowMs % (30 * 1000));
+  const codes = accounts.map(account => {
+    const entry = {
+      id: account.id,
+      kind: 'steam',
+      account_name: account.account_name,
+      steamid: account.steamid,
+      groups: account.groups || [],
+      period: 30,
+      valid_for_seconds: Math.ceil(valid_for_ms / 1000),
+      valid_for_ms,
+      code: null,
+      next_code: null
+    };
+    try {
+      entry.code = generateSteamGuardCode(account.shared_secret, nowMs);
+      entry.next_code = generateSteamGuardCode(account.shared_secret, nowMs + 30 * 1000);
+    } catch (err) {
+      entry.error = 'NO_SHARED_SECRET';
+    }
+    return entry;
+  });
+  return {
+    steam_time: Math.floor(nowMs / 1000),
+    valid_for_seconds: Math.ceil(valid_for_ms / 1000),
+    valid_for_ms,
+    codes
+  };
+}
+
 module.exports = {
-  generateSteamGuardCode
+  generateSteamGuardCode,
+  verifySteamGuardCode,
+  listSteamGuardCodes,
+  getCodeSnapshot
 };
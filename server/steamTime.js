@@ -1,38 +1,258 @@
 const axios = require('axios');
+const dgram = require('dgram');
 const { getAgent } = require('./proxy');
+const { getConfig } = require('./config');
 
-let timeOffset = 0;
+const config = getConfig();
+const SYNC_INTERVAL_MS = config.timeSyncIntervalMinutes * 60 * 1000;
+const RETRY_INTERVAL_MS = 60 * 1000;
+const SOURCE_TIMEOUT_MS = 5000;
+const NTP_EPOCH_OFFSET = 2208988800;
+
+let timeOffsetMs = 0;
 let isTimeAligned = false;
+let currentSource = null;
+let lastSyncAt = null;
+let lastAttemptAt = null;
+let lastError = null;
+let consecutiveFailures = 0;
+let pendingSync = null;
+let syncTimer = null;
+const sourceResults = new Map();
 
-async function alignTime(logPrefix) {
-  const prefix = logPrefix || 'SteamTime';
-  if (isTimeAligned) return;
-  try {
-    const agent = getAgent();
-    const res = await axios.post(
-      'https://api.steampowered.com/ITwoFactorService/QueryTime/v0001',
-      {},
-      {
-        headers: { 'Content-Length': '0' },
-        httpsAgent: agent,
-        validateStatus: () => true,
-        timeout: 5000
+// Steam and the Date header only report whole seconds, so the reading is
+// taken as the middle of that second and compared against the middle of the
+// request, which keeps half the round trip out of the offset.
+function offsetFromSeconds(serverSeconds, startedAt, finishedAt) {
+  return serverSeconds * 1000 + 500 - (startedAt + finishedAt) / 2;
+}
+
+async function querySteam() {
+  const startedAt = Date.now();
+  const res = await axios.post(config.steamTimeUrl, {}, {
+    headers: { 'Content-Length': '0' },
+    httpsAgent: getAgent(),
+    validateStatus: () => true,
+    timeout: SOURCE_TIMEOUT_MS
+  });
+  const finishedAt = Date.now();
+  const serverTime = parseInt(res.data?.response?.server_time, 10);
+  if (Number.isNaN(serverTime)) {
+    throw new Error(`QueryTime returned no server_time (HTTP ${res.status})`);
+  }
+  return { offsetMs: offsetFromSeconds(serverTime, startedAt, finishedAt), rttMs: finishedAt - startedAt };
+}
+
+async function queryHttpDate() {
+  const startedAt = Date.now();
+  const res = await axios.head(config.httpTimeUrl, {
+    httpsAgent: getAgent(),
+    validateStatus: () => true,
+    maxRedirects: 0,
+    timeout: SOURCE_TIMEOUT_MS
+  });
+  const finishedAt = Date.now();
+  const serverTime = Date.parse(res.headers.date);
+  if (Number.isNaN(serverTime)) {
+    throw new Error(`No Date header in the response (HTTP ${res.status})`);
+  }
+  return { offsetMs: offsetFromSeconds(serverTime / 1000, startedAt, finishedAt), rttMs: finishedAt - startedAt };
+}
+
+function readNtpTimestamp(buffer, offset) {
+  const seconds = buffer.readUInt32BE(offset) - NTP_EPOCH_OFFSET;
+  const fraction = buffer.readUInt32BE(offset + 4) / 0x100000000;
+  return (seconds + fraction) * 1000;
+}
+
+function writeNtpTimestamp(buffer, offset, ms) {
+  const seconds = Math.floor(ms / 1000);
+  buffer.writeUInt32BE(seconds + NTP_EPOCH_OFFSET, offset);
+  buffer.writeUInt32BE(Math.floor(((ms % 1000) / 1000) * 0x100000000), offset + 4);
+}
+
+function parseNtpServer(server) {
+  const match = String(server).match(/^([^:]+)(?::(\d+))?$/);
+  if (!match) throw new Error(`Invalid NTP server "${server}"`);
+  return { host: match[1], port: match[2] ? parseInt(match[2], 10) : 123 };
+}
+
+// One SNTP v3 request (RFC 4330). The transmit timestamp we send must come
+// back as the originate timestamp, otherwise the reply is not ours.
+function queryNtpServer(server) {
+  const { host, port } = parseNtpServer(server);
+  return new Promise((resolve, reject) => {
+    const socket = dgram.createSocket('udp4');
+    const request = Buffer.alloc(48);
+    request[0] = 0x1b;
+    let startedAt;
+
+    const finish = (err, result) => {
+      clearTimeout(timer);
+      socket.close();
+      if (err) reject(err);
+      else resolve(result);
+    };
+    const timer = setTimeout(() => finish(new Error(`${host}:${port} did not answer`)), SOURCE_TIMEOUT_MS);
+
+    socket.on('error', err => finish(err));
+    socket.on('message', msg => {
+      const finishedAt = Date.now();
+      if (msg.length < 48 || (msg[0] & 0x07) !== 4) {
+        return finish(new Error(`${host}:${port} sent an invalid reply`));
       }
-    );
-    const serverTime = parseInt(res.data?.response?.server_time, 10);
-    if (!Number.isNaN(serverTime)) {
-      const localTime = Math.floor(Date.now() / 1000);
-      timeOffset = serverTime - localTime;
-      isTimeAligned = true;
-      console.log(`[${prefix}] Time aligned. Offset:`, timeOffset);
+      if (msg[1] === 0) {
+        return finish(new Error(`${host}:${port} refused the request (kiss-o'-death)`));
+      }
+      if (!msg.subarray(24, 32).equals(request.subarray(40, 48))) {
+        return finish(new Error(`${host}:${port} reply does not match the request`));
+      }
+      const received = readNtpTimestamp(msg, 32);
+      const transmitted = readNtpTimestamp(msg, 40);
+      finish(null, {
+        offsetMs: ((received - startedAt) + (transmitted - finishedAt)) / 2,
+        rttMs: Math.max(0, (finishedAt - startedAt) - (transmitted - received))
+      });
+    });
+
+    startedAt = Date.now();
+    writeNtpTimestamp(request, 40, startedAt);
+    socket.send(request, port, host, err => {
+      if (err) finish(err);
+    });
+  });
+}
+
+async function queryNtp() {
+  if (config.ntpServers.length === 0) throw new Error('No NTP servers configured');
+  const errors = [];
+  for (const server of config.ntpServers) {
+    try {
+      return { ...(await queryNtpServer(server)), target: server };
+    } catch (err) {
+      errors.push(err.message);
     }
+  }
+  throw new Error(errors.join('; '));
+}
+
+async function queryManual() {
+  if (config.manualTimeOffsetSeconds === null) throw new Error('No manual offset configured');
+  return { offsetMs: config.manualTimeOffsetSeconds * 1000, rttMs: null };
+}
+
+const TIME_SOURCES = {
+  steam: { query: querySteam, target: () => config.steamTimeUrl },
+  ntp: { query: queryNtp, target: () => config.ntpServers.join(', ') },
+  http: { query: queryHttpDate, target: () => config.httpTimeUrl },
+  manual: {
+    query: queryManual,
+    target: () => (config.manualTimeOffsetSeconds === null ? 'not set' : `${config.manualTimeOffsetSeconds}s`)
+  }
+};
+
+async function measureSource(name) {
+  const source = TIME_SOURCES[name];
+  const result = { name, target: source.target(), measuredAt: new Date().toISOString() };
+  try {
+    const { offsetMs, rttMs, target } = await source.query();
+    Object.assign(result, { ok: true, offsetMs: Math.round(offsetMs), rttMs, error: null });
+    if (target) result.target = target;
   } catch (err) {
-    console.warn(`[${prefix}] Time sync failed:`, err.message);
+    Object.assign(result, { ok: false, offsetMs: null, rttMs: null, error: err.message });
+  }
+  sourceResults.set(name, result);
+  return result;
+}
+
+// Walks config.timeSources in order and takes the first source that answers.
+// With probeAll every source is measured so they can be compared.
+async function syncTime(prefix, probeAll) {
+  lastAttemptAt = Date.now();
+  let chosen = null;
+  for (const name of config.timeSources) {
+    const result = await measureSource(name);
+    if (!result.ok) {
+      console.warn(`[${prefix}] Time source ${name} failed: ${result.error}`);
+      continue;
+    }
+    if (!chosen) chosen = result;
+    if (!probeAll) break;
+  }
+
+  if (!chosen) {
+    lastError = 'All time sources failed';
+    consecutiveFailures++;
+    console.warn(`[${prefix}] Time sync failed (${consecutiveFailures} in a row), keeping offset ${(timeOffsetMs / 1000).toFixed(1)}s`);
+    return;
+  }
+
+  timeOffsetMs = chosen.offsetMs;
+  currentSource = chosen.name;
+  lastSyncAt = Date.now();
+  lastError = null;
+  consecutiveFailures = 0;
+  isTimeAligned = true;
+  const rtt = chosen.rttMs === null ? '' : ` (rtt ${chosen.rttMs}ms)`;
+  console.log(`[${prefix}] Time aligned via ${chosen.name}. Offset: ${(timeOffsetMs / 1000).toFixed(1)}s${rtt}`);
+  if (Math.abs(timeOffsetMs) > config.timeDriftWarnSeconds * 1000) {
+    console.warn(`[${prefix}] Local clock is off by ${(timeOffsetMs / 1000).toFixed(1)}s, check the system time`);
   }
 }
 
+// Callers before a signed Steam request await this; it only hits the network
+// when the last alignment is older than the sync interval.
+async function alignTime(logPrefix, options = {}) {
+  const prefix = logPrefix || 'SteamTime';
+  const stale = !lastSyncAt || Date.now() - lastSyncAt > SYNC_INTERVAL_MS;
+  const retryDue = !lastAttemptAt || Date.now() - lastAttemptAt > RETRY_INTERVAL_MS;
+  if (!options.force && isTimeAligned && !stale) return;
+  if (!options.force && !isTimeAligned && !retryDue) return;
+  if (pendingSync && !options.probeAll) return pendingSync;
+  while (pendingSync) await pendingSync;
+  pendingSync = syncTime(prefix, !!options.probeAll).finally(() => {
+    pendingSync = null;
+  });
+  await pendingSync;
+}
+
+function startTimeSync() {
+  if (syncTimer) return;
+  alignTime('SteamTime');
+  syncTimer = setInterval(() => alignTime('SteamTime', { force: true }), SYNC_INTERVAL_MS);
+  syncTimer.unref();
+}
+
+function getSteamTimeMs() {
+  return Date.now() + timeOffsetMs;
+}
+
 function getSteamTime() {
-  return Math.floor(Date.now() / 1000) + timeOffset;
+  return Math.floor(getSteamTimeMs() / 1000);
+}
+
+function getTimeStatus() {
+  const toSeconds = ms => (ms === null ? null : ms / 1000);
+  return {
+    aligned: isTimeAligned,
+    source: currentSource,
+    offsetSeconds: timeOffsetMs / 1000,
+    driftWarnSeconds: config.timeDriftWarnSeconds,
+    driftWarning: !isTimeAligned || Math.abs(timeOffsetMs) > config.timeDriftWarnSeconds * 1000,
+    localTime: new Date().toISOString(),
+    steamTime: new Date(getSteamTimeMs()).toISOString(),
+    lastSyncAt: lastSyncAt ? new Date(lastSyncAt).toISOString() : null,
+    lastAttemptAt: lastAttemptAt ? new Date(lastAttemptAt).toISOString() : null,
+    lastError,
+    consecutiveFailures,
+    syncIntervalMinutes: SYNC_INTERVAL_MS / 60000,
+    sources: config.timeSources.map(name => {
+      const result = sourceResults.get(name);
+      if (!result) return { name, target: TIME_SOURCES[name].target(), ok: null };
+      const { offsetMs, ...rest } = result;
+      return { ...rest, offsetSeconds: toSeconds(offsetMs) };
+    })
+  };
 }
 
-module.exports = { alignTime, getSteamTime };
+module.exports = { alignTime, startTimeSync, getSteamTime, getSteamTimeMs, getTimeStatus };
@@ -2,13 +2,32 @@ const fs = require('fs');
 const path = require('path');
 const crypto = require('crypto');
 const { generateAndroidDeviceId } = require('./deviceID');
+const {
+  getRandomSalt,
+  getInitializationVector,
+  encryptData,
+  decryptData
+} = require('./fileEncryption');
+const { getPasskey } = require('./vault');
+const { writeFileAtomic, withFileLock } = require('./fileStore');
+const { getConfig } = require('./config');
 
-const DATA_DIR = path.join(__dirname, '..', 'data');
+const config = getConfig();
+const DATA_DIR = config.dataDir;
 const MANIFEST_FILE = path.join(DATA_DIR, 'manifest.json');
 const SESSIONS_FILE = path.join(DATA_DIR, 'sessions.json');
+const TRASH_DIR = path.join(DATA_DIR, 'trash');
+const TRASH_INDEX_FILE = path.join(TRASH_DIR, 'index.json');
+const LOCK_FILE = path.join(DATA_DIR, '.lock');
+const REKEY_JOURNAL_FILE = path.join(DATA_DIR, 'rekey.journal');
+const AUTH_FILE = path.join(DATA_DIR, 'auth.json');
+const TOKENS_FILE = path.join(DATA_DIR, 'tokens.json');
+const OTP_FILE = path.join(DATA_DIR, 'otp.json');
+const POLICY_FILE = path.join(DATA_DIR, 'policies.json');
+const REKEY_SUFFIX = '.rekey';
 
-const SESSION_EXPIRY_MS = 30 * 24 * 60 * 60 * 1000;
-const SESSION_IDLE_TIMEOUT_MS = 7 * 24 * 60 * 60 * 1000;
+const SESSION_EXPIRY_MS = config.sessionExpiryDays * 24 * 60 * 60 * 1000;
+const SESSION_IDLE_TIMEOUT_MS = config.sessionIdleDays * 24 * 60 * 60 * 1000;
 
 function ensureDataDir() {
   if (!fs.existsSync(DATA_DIR)) {
@@ -16,6 +35,11 @@ function ensureDataDir() {
   }
 }
 
+function withDataLock(task) {
+  ensureDataDir();
+  return withFileLock(LOCK_FILE, task);
+}
+
 function parseMaFileSafe(input) {
   if (!input) return {};
   if (typeof input === 'object') return input;
@@ -25,6 +49,10 @@ function parseMaFileSafe(input) {
       /"(S|s)team(ID|id)"\s*:\s*([0-9]{16,})/g,
       '"$1team$2": "$3"'
     );
+    safeString = safeString.replace(
+      /"steam_id"\s*:\s*([0-9]{16,})/g,
+      '"steam_id": "$1"'
+    );
     safeString = safeString.replace(
       /"SessionID"\s*:\s*([0-9]{8,})/g,
       '"SessionID": "$1"'
@@ -36,10 +64,16 @@ function parseMaFileSafe(input) {
   }
 }
 
+function vaultError(code) {
+  const err = new Error(code);
+  err.code = code;
+  return err;
+}
+
 function loadManifest() {
   ensureDataDir();
   if (!fs.existsSync(MANIFEST_FILE)) {
-    return { entries: [] };
+    return { encrypted: false, entries: [] };
   }
   try {
     const raw = fs.readFileSync(MANIFEST_FILE, 'utf8');
@@ -55,34 +89,105 @@ function loadManifest() {
 
 function saveManifest(manifest) {
   ensureDataDir();
-  fs.writeFileSync(MANIFEST_FILE, JSON.stringify(manifest, null, 2));
+  writeFileAtomic(MANIFEST_FILE, JSON.stringify(manifest, null, 2));
+}
+
+function isManifestEncrypted(manifest) {
+  return !!manifest.encrypted;
+}
+
+function isVaultEncrypted() {
+  return isManifestEncrypted(loadManifest());
+}
+
+function isVaultLocked() {
+  return isVaultEncrypted() && !getPasskey();
 }
 
 function getManifestSettings() {
   const manifest = loadManifest();
   return {
     entries: manifest.entries.length,
-    hasEncryption: !!manifest.encryption || manifest.entries.some(e => e.encryption_iv || e.encryption_salt)
+    hasEncryption: isManifestEncrypted(manifest) || manifest.entries.some(e => e.encryption_iv || e.encryption_salt)
   };
 }
 
-function loadAccounts() {
+function decryptMaFileContent(raw, entry, passkey) {
+  if (!passkey) throw vaultError('VAULT_LOCKED');
+  const plaintext = decryptData(passkey, entry.encryption_salt, entry.encryption_iv, raw);
+  if (plaintext === null) throw vaultError('BAD_PASSKEY');
+  return plaintext;
+}
+
+function encryptMaFileContent(maFile, entry, passkey) {
+  entry.encryption_salt = getRandomSalt();
+  entry.encryption_iv = getInitializationVector();
+  return encryptData(passkey, entry.encryption_salt, entry.encryption_iv, JSON.stringify(maFile));
+}
+
+function readMaFileContent(manifest, entry, passkey) {
+  const filename = entry.filename || `${entry.steamid}.maFile`;
+  const fullPath = path.join(DATA_DIR, filename);
+  if (!fs.existsSync(fullPath)) return null;
+  const raw = fs.readFileSync(fullPath, 'utf8');
+  if (isManifestEncrypted(manifest)) {
+    return decryptMaFileContent(raw, entry, passkey);
+  }
+  return raw;
+}
+
+function readMaFile(manifest, entry, passkey) {
+  const raw = readMaFileContent(manifest, entry, passkey);
+  return raw === null ? null : parseMaFileSafe(raw);
+}
+
+function verifyPasskey(passkey) {
+  const manifest = loadManifest();
+  if (!isManifestEncrypted(manifest)) return true;
+  if (!passkey) return false;
+  for (const entry of manifest.entries) {
+    const fullPath = path.join(DATA_DIR, entry.filename || `${entry.steamid}.maFile`);
+    if (!fs.existsSync(fullPath)) continue;
+    const raw = fs.readFileSync(fullPath, 'utf8');
+    return decryptData(passkey, entry.encryption_salt, entry.encryption_iv, raw) !== null;
+  }
+  // An emptied vault can still hold archived maFiles or sessions under the old key.
+  for (const item of loadTrashIndex().items) {
+    if (!item.entry.encryption_iv) continue;
+    try {
+      if (readTrashedMaFileContent(item, passkey) !== null) return true;
+    } catch {
+      return false;
+    }
+  }
+  try {
+    loadSessionStore(passkey);
+    loadOtpStore(passkey);
+  } catch {
+    return false;
+  }
+  return true;
+}
+
+function loadAccounts(passkey = getPasskey()) {
   ensureDataDir();
   const manifest = loadManifest();
   const entries = Array.isArray(manifest.entries) ? manifest.entries : [];
+  if (isManifestEncrypted(manifest) && entries.length > 0 && !passkey) {
+    throw vaultError('VAULT_LOCKED');
+  }
   const accounts = [];
   for (const entry of entries) {
     const steamid = String(entry.steamid || '');
     if (!steamid) continue;
-    const filename = entry.filename || `${steamid}.maFile`;
-    const fullPath = path.join(DATA_DIR, filename);
-    if (!fs.existsSync(fullPath)) continue;
     let maFile;
     try {
-      maFile = parseMaFileSafe(fs.readFileSync(fullPath, 'utf8'));
-    } catch {
+      maFile = readMaFile(manifest, entry, passkey);
+    } catch (err) {
+      if (err.code === 'BAD_PASSKEY' || err.code === 'VAULT_LOCKED') throw err;
       continue;
     }
+    if (!maFile) continue;
     const device_id =
       maFile.device_id ||
       maFile.deviceID ||
@@ -96,25 +201,92 @@ function loadAccounts() {
       shared_secret: maFile.shared_secret || '',
       identity_secret: maFile.identity_secret || '',
       device_id,
+      groups: entry.groups || [],
+      auto_confirm: {
+        trades: !!entry.auto_confirm_trades,
+        market: !!entry.auto_confirm_market_transactions
+      },
       raw_mafile: maFile
     });
   }
   return accounts;
 }
 
-function loadSessionStore() {
+// When the vault is encrypted the session and OTP stores are kept in an
+// envelope using the same passkey and scheme as the maFiles, with its own IV
+// and salt.
+function decodeVaultEnvelope(raw, passkey) {
+  const parsed = JSON.parse(raw);
+  if (!parsed || !parsed.encrypted) return parsed;
+  if (!passkey) throw vaultError('VAULT_LOCKED');
+  const plaintext = decryptData(passkey, parsed.encryption_salt, parsed.encryption_iv, parsed.data);
+  if (plaintext === null) throw vaultError('BAD_PASSKEY');
+  return JSON.parse(plaintext);
+}
+
+function encodeVaultEnvelope(store, passkey) {
+  if (!passkey) return JSON.stringify(store, null, 2);
+  const encryption_salt = getRandomSalt();
+  const encryption_iv = getInitializationVector();
+  return JSON.stringify({
+    encrypted: true,
+    encryption_iv,
+    encryption_salt,
+    data: encryptData(passkey, encryption_salt, encryption_iv, JSON.stringify(store))
+  }, null, 2);
+}
+
+function loadSessionStore(passkey = getPasskey()) {
   ensureDataDir();
   if (!fs.existsSync(SESSIONS_FILE)) return { sessions: {} };
+  let raw;
   try {
-    return JSON.parse(fs.readFileSync(SESSIONS_FILE, 'utf8'));
+    raw = fs.readFileSync(SESSIONS_FILE, 'utf8');
+    JSON.parse(raw);
   } catch {
     return { sessions: {} };
   }
+  return decodeVaultEnvelope(raw, passkey) || { sessions: {} };
 }
 
 function saveSessionStore(store) {
   ensureDataDir();
-  fs.writeFileSync(SESSIONS_FILE, JSON.stringify(store, null, 2));
+  if (isVaultEncrypted()) {
+    const passkey = getPasskey();
+    if (!passkey) throw vaultError('VAULT_LOCKED');
+    writeFileAtomic(SESSIONS_FILE, encodeVaultEnvelope(store, passkey));
+    return;
+  }
+  writeFileAtomic(SESSIONS_FILE, encodeVaultEnvelope(store, null));
+}
+
+// Generic TOTP/HOTP entries live in their own file so manifest.json stays a
+// valid SDA manifest with Steam accounts only.
+function loadOtpStore(passkey = getPasskey()) {
+  ensureDataDir();
+  if (!fs.existsSync(OTP_FILE)) return { entries: [] };
+  const store = decodeVaultEnvelope(fs.readFileSync(OTP_FILE, 'utf8'), passkey) || {};
+  if (!Array.isArray(store.entries)) store.entries = [];
+  return store;
+}
+
+function updateOtpStore(update, passkey = getPasskey()) {
+  return withDataLock(() => {
+    const manifest = loadManifest();
+    const store = loadOtpStore(passkey);
+    // Same rule as the first maFile: an unlocked empty vault becomes encrypted.
+    if (!isManifestEncrypted(manifest) && manifest.entries.length === 0 && store.entries.length === 0 && passkey) {
+      manifest.encrypted = true;
+      saveManifest(manifest);
+    }
+    if (isManifestEncrypted(manifest)) {
+      if (!passkey) throw vaultError('VAULT_LOCKED');
+      if (!verifyPasskey(passkey)) throw vaultError('BAD_PASSKEY');
+    }
+    const result = update(store);
+    writeFileAtomic(OTP_FILE, encodeVaultEnvelope(store, isManifestEncrypted(manifest) ? passkey : null));
+    return result;
+  });
 }
 
 function getSessionCookiesForAccount(accountId) {
@@ -164,6 +336,123 @@ function isSessionValid(accountId) {
   return { valid: true, session };
 }
 
+// One pass over the session store for account listings, without the per
+// account lookup logging of getSessionCookiesForAccount.
+function getSessionStatuses() {
+  const store = loadSessionStore();
+  const statuses = {};
+  for (const [accountId, session] of Object.entries(store.sessions || {})) {
+    let status = 'valid';
+    if (!session.sessionid || !session.steamLoginSecure) status = 'incomplete';
+    else if (isSessionExpired(session)) status = 'expired';
+    statuses[accountId] = {
+      status,
+      createdAt: session.createdAt || null,
+      lastUsed: session.lastUsed || null
+    };
+  }
+  return statuses;
+}
+
+function loadAuthConfig() {
+  if (!fs.existsSync(AUTH_FILE)) return null;
+  try {
+    return JSON.parse(fs.readFileSync(AUTH_FILE, 'utf8'));
+  } catch (err) {
+    console.error('[Auth] Failed to read auth.json:', err.message);
+    return null;
+  }
+}
+
+function saveAuthConfig(config) {
+  return withDataLock(() => writeFileAtomic(AUTH_FILE, JSON.stringify(config, null, 2)));
+}
+
+function loadTokenStore() {
+  if (!fs.existsSync(TOKENS_FILE)) return { tokens: [] };
+  try {
+    const store = JSON.parse(fs.readFileSync(TOKENS_FILE, 'utf8'));
+    if (!Array.isArray(store.tokens)) store.tokens = [];
+    return store;
+  } catch (err) {
+    console.error('[Tokens] Failed to read tokens.json:', err.message);
+    return { tokens: [] };
+  }
+}
+
+function updateTokenStore(update) {
+  return withDataLock(() => {
+    const store = loadTokenStore();
+    const result = update(store);
+    writeFileAtomic(TOKENS_FILE, JSON.stringify(store, null, 2));
+    return result;
+  });
+}
+
+// Confirmation policy rules hold no secrets, so like tokens.json they stay
+// readable while the vault is locked.
+function loadPolicyStore() {
+  const empty = { global: [], accounts: {} };
+  if (!fs.existsSync(POLICY_FILE)) return empty;
+  try {
+    const store = JSON.parse(fs.readFileSync(POLICY_FILE, 'utf8'));
+    if (!Array.isArray(store.global)) store.global = [];
+    if (!store.accounts || typeof store.accounts !== 'object') store.accounts = {};
+    return store;
+  } catch (err) {
+    console.error('[Policy] Failed to read policies.json:', err.message);
+    return empty;
+  }
+}
+
+function updatePolicyStore(update) {
+  return withDataLock(() => {
+    const store = loadPolicyStore();
+    const result = update(store);
+    writeFileAtomic(POLICY_FILE, JSON.stringify(store, null, 2));
+    return result;
+  });
+}
+
+function normalizeGroups(groups) {
+  const list = Array.isArray(groups) ? groups : String(groups || '').split(',');
+  return [...new Set(list.map(g => String(g).trim()).filter(Boolean))];
+}
+
+// Groups live next to the auto-confirm flags in the manifest entry, so they
+// can be read without the vault passkey.
+function getAccountGroups() {
+  const groups = {};
+  for (const entry of loadManifest().entries) {
+    groups[String(entry.steamid)] = entry.groups || [];
+  }
+  return groups;
+}
+
+function setAccountGroups(steamid, groups) {
+  return withDataLock(() => {
+    const manifest = loadManifest();
+    const entry = manifest.entries.find(e => String(e.steamid) === String(steamid));
+    if (!entry) throw vaultError('ACCOUNT_NOT_FOUND');
+    entry.groups = normalizeGroups(groups);
+    saveManifest(manifest);
+    return entry.groups;
+  });
+}
+
+// Only the two SDA manifest flags are written; either may be left out.
+function setAutoConfirmFlags(steamid, changes) {
+  return withDataLock(() => {
+    const manifest = loadManifest();
+    const entry = manifest.entries.find(e => String(e.steamid) === String(steamid));
+    if (!entry) throw vaultError('ACCOUNT_NOT_FOUND');
+    if (changes.trades !== undefined) entry.auto_confirm_trades = !!changes.trades;
+    if (changes.market !== undefined) entry.auto_confirm_market_transactions = !!changes.market;
+    saveManifest(manifest);
+    return { trades: !!entry.auto_confirm_trades, market: !!entry.auto_confirm_market_transactions };
+  });
+}
+
 function getSessionAge(accountId) {
   const session = getSessionCookiesForAccount(accountId);
   if (!session || !session.createdAt) {
@@ -185,7 +474,7 @@ function getSessionAge(accountId) {
   };
 }
 
-function setSessionCookiesForAccount(
+function storeSessionCookies(
   accountId,
   sessionid,
   steamLoginSecure,
@@ -213,25 +502,38 @@ function setSessionCookiesForAccount(
   saveSessionStore(store);
 }
 
+function setSessionCookiesForAccount(...args) {
+  return withDataLock(() => storeSessionCookies(...args));
+}
+
 function updateSessionLastUsed(accountId) {
-  const store = loadSessionStore();
-  if (store.sessions && store.sessions[accountId]) {
-    store.sessions[accountId].lastUsed = new Date().toISOString();
-    saveSessionStore(store);
-  }
+  return withDataLock(() => {
+    const store = loadSessionStore();
+    if (store.sessions && store.sessions[accountId]) {
+      store.sessions[accountId].lastUsed = new Date().toISOString();
+      saveSessionStore(store);
+    }
+  }).catch(err => {
+    console.warn(`[Sessions] Failed to update lastUsed for ${accountId}:`, err.message);
+  });
 }
 
 function clearSessionForAccount(accountId) {
-  const store = loadSessionStore();
-  if (store.sessions && store.sessions[accountId]) {
-    delete store.sessions[accountId];
-    saveSessionStore(store);
-    console.log(`[Sessions] Cleared session for account ${accountId}`);
-  }
+  return withDataLock(() => {
+    const store = loadSessionStore();
+    if (store.sessions && store.sessions[accountId]) {
+      delete store.sessions[accountId];
+      saveSessionStore(store);
+      console.log(`[Sessions] Cleared session for account ${accountId}`);
+    }
+  });
 }
 
-function addAccountFromMaFile(input) {
-  ensureDataDir();
+function addAccountFromMaFile(input, passkey = getPasskey()) {
+  return withDataLock(() => writeAccountFromMaFile(input, passkey));
+}
+
+function normalizeMaFile(input) {
   let maFile;
   if (typeof input === 'string') {
     maFile = parseMaFileSafe(input);
@@ -252,12 +554,26 @@ function addAccountFromMaFile(input) {
   if (!maFile.device_id && (maFile.deviceID || maFile.deviceId)) {
     maFile.device_id = maFile.deviceID || maFile.deviceId;
   }
-  const filename = `${steamid}.maFile`;
-  const fullPath = path.join(DATA_DIR, filename);
-  fs.writeFileSync(fullPath, JSON.stringify(maFile, null, 2));
+  return maFile;
+}
+
+function writeAccountFromMaFile(input, passkey) {
+  const maFile = normalizeMaFile(input);
+  const steamid = maFile.steamid;
   const manifest = loadManifest();
   if (!manifest.entries) manifest.entries = [];
+  if (!isManifestEncrypted(manifest) && manifest.entries.length === 0 && passkey) {
+    manifest.encrypted = true;
+  }
+  const encrypted = isManifestEncrypted(manifest);
+  if (encrypted) {
+    if (!passkey) throw vaultError('VAULT_LOCKED');
+    if (!verifyPasskey(passkey)) throw vaultError('BAD_PASSKEY');
+  } else if (passkey) {
+    console.warn('[Storage] Vault is not encrypted; storing maFile as plaintext');
+  }
   let entry = manifest.entries.find(e => String(e.steamid) === steamid);
+  const filename = entry?.filename || `${steamid}.maFile`;
   if (!entry) {
     entry = {
       encryption_iv: null,
@@ -287,13 +603,21 @@ function addAccountFromMaFile(input) {
     delete entry.account_name;
     delete entry.display_name;
   }
+  const fullPath = path.join(DATA_DIR, filename);
+  if (encrypted) {
+    writeFileAtomic(fullPath, encryptMaFileContent(maFile, entry, passkey));
+  } else {
+    entry.encryption_iv = null;
+    entry.encryption_salt = null;
+    writeFileAtomic(fullPath, JSON.stringify(maFile, null, 2));
+  }
   saveManifest(manifest);
   if (maFile.Session && (maFile.Session.SteamLoginSecure || maFile.Session.AccessToken)) {
     const token =
       maFile.Session.SteamLoginSecure ||
       maFile.Session.AccessToken;
     if (token) {
-      setSessionCookiesForAccount(
+      storeSessionCookies(
         steamid,
         maFile.Session.SessionID || '',
         token,
@@ -301,18 +625,281 @@ function addAccountFromMaFile(input) {
       );
     }
   }
-  return loadAccounts().find(a => String(a.steamid) === steamid);
+  return loadAccounts(passkey).find(a => String(a.steamid) === steamid);
+}
+
+function commitRekey(files) {
+  for (const file of files) {
+    const staged = path.join(DATA_DIR, file + REKEY_SUFFIX);
+    if (fs.existsSync(staged)) {
+      fs.renameSync(staged, path.join(DATA_DIR, file));
+    }
+  }
+  fs.unlinkSync(REKEY_JOURNAL_FILE);
+}
+
+// Rekeying stages every file next to the original and only writes the journal
+// once all of them are on disk. A journal therefore means "roll forward",
+// staged files without one mean the rekey never committed and are discarded.
+function recoverPendingRekey() {
+  if (fs.existsSync(REKEY_JOURNAL_FILE)) {
+    const journal = JSON.parse(fs.readFileSync(REKEY_JOURNAL_FILE, 'utf8'));
+    console.warn('[Storage] Completing interrupted passkey change');
+    commitRekey(journal.files || []);
+    return;
+  }
+  for (const dir of [DATA_DIR, TRASH_DIR]) {
+    if (!fs.existsSync(dir)) continue;
+    for (const file of fs.readdirSync(dir)) {
+      if (file.endsWith(REKEY_SUFFIX)) {
+        console.warn(`[Storage] Discarding staged file from interrupted passkey change: ${file}`);
+        fs.unlinkSync(path.join(dir, file));
+      }
+    }
+  }
+}
+
+function recoverVaultRekey() {
+  return withDataLock(recoverPendingRekey);
+}
+
+function changeVaultPasskey(currentPasskey, newPasskey) {
+  return withDataLock(() => rekeyVault(currentPasskey, newPasskey));
+}
+
+function rekeyVault(currentPasskey, newPasskey) {
+  recoverPendingRekey();
+  const manifest = loadManifest();
+  const wasEncrypted = isManifestEncrypted(manifest);
+  if (wasEncrypted && !verifyPasskey(currentPasskey)) {
+    throw vaultError('BAD_PASSKEY');
+  }
+  if (!wasEncrypted && !newPasskey) {
+    throw vaultError('VAULT_NOT_ENCRYPTED');
+  }
+  const nextManifest = JSON.parse(JSON.stringify(manifest));
+  nextManifest.encrypted = !!newPasskey;
+  const staged = [];
+  let maFiles = 0;
+  const stageMaFile = (relativePath, entry, content) => {
+    let output;
+    if (newPasskey) {
+      entry.encryption_salt = getRandomSalt();
+      entry.encryption_iv = getInitializationVector();
+      output = encryptData(newPasskey, entry.encryption_salt, entry.encryption_iv, content);
+    } else {
+      entry.encryption_salt = null;
+      entry.encryption_iv = null;
+      output = content;
+    }
+    writeFileAtomic(path.join(DATA_DIR, relativePath + REKEY_SUFFIX), output);
+    staged.push(relativePath);
+    maFiles++;
+  };
+  try {
+    for (let i = 0; i < nextManifest.entries.length; i++) {
+      const entry = nextManifest.entries[i];
+      const content = readMaFileContent(manifest, manifest.entries[i], currentPasskey);
+      if (content === null) continue;
+      stageMaFile(entry.filename || `${entry.steamid}.maFile`, entry, content);
+    }
+    const trash = loadTrashIndex();
+    if (trash.items.length > 0) {
+      const nextTrash = JSON.parse(JSON.stringify(trash));
+      for (let i = 0; i < nextTrash.items.length; i++) {
+        const content = readTrashedMaFileContent(trash.items[i], currentPasskey);
+        if (content === null) continue;
+        stageMaFile(path.join('trash', nextTrash.items[i].filename), nextTrash.items[i].entry, content);
+      }
+      writeFileAtomic(TRASH_INDEX_FILE + REKEY_SUFFIX, JSON.stringify(nextTrash, null, 2));
+      staged.push(path.join('trash', path.basename(TRASH_INDEX_FILE)));
+    }
+    if (fs.existsSync(SESSIONS_FILE)) {
+      const sessions = loadSessionStore(currentPasskey);
+      writeFileAtomic(SESSIONS_FILE + REKEY_SUFFIX, encodeVaultEnvelope(sessions, newPasskey));
+      staged.push(path.basename(SESSIONS_FILE));
+    }
+    if (fs.existsSync(OTP_FILE)) {
+      const otp = loadOtpStore(currentPasskey);
+      writeFileAtomic(OTP_FILE + REKEY_SUFFIX, encodeVaultEnvelope(otp, newPasskey));
+      staged.push(path.basename(OTP_FILE));
+    }
+    writeFileAtomic(
+      path.join(DATA_DIR, path.basename(MANIFEST_FILE) + REKEY_SUFFIX),
+      JSON.stringify(nextManifest, null, 2)
+    );
+    staged.push(path.basename(MANIFEST_FILE));
+  } catch (err) {
+    for (const file of staged) {
+      fs.rmSync(path.join(DATA_DIR, file + REKEY_SUFFIX), { force: true });
+    }
+    throw err;
+  }
+  writeFileAtomic(REKEY_JOURNAL_FILE, JSON.stringify({ files: staged, startedAt: new Date().toISOString() }));
+  commitRekey(staged);
+  console.log(`[Storage] Vault ${newPasskey ? 're-encrypted' : 'decrypted'} (${maFiles} maFiles)`);
+  return { encrypted: !!newPasskey, files: maFiles };
+}
+
+function loadTrashIndex() {
+  if (!fs.existsSync(TRASH_INDEX_FILE)) return { items: [] };
+  const index = JSON.parse(fs.readFileSync(TRASH_INDEX_FILE, 'utf8'));
+  if (!Array.isArray(index.items)) index.items = [];
+  return index;
+}
+
+function saveTrashIndex(index) {
+  fs.mkdirSync(TRASH_DIR, { recursive: true });
+  writeFileAtomic(TRASH_INDEX_FILE, JSON.stringify(index, null, 2));
+}
+
+function readTrashedMaFileContent(item, passkey) {
+  const fullPath = path.join(TRASH_DIR, item.filename);
+  if (!fs.existsSync(fullPath)) return null;
+  const raw = fs.readFileSync(fullPath, 'utf8');
+  if (item.entry.encryption_iv) {
+    return decryptMaFileContent(raw, item.entry, passkey);
+  }
+  return raw;
+}
+
+function removeAccount(steamid) {
+  return withDataLock(() => {
+    const manifest = loadManifest();
+    const index = manifest.entries.findIndex(e => String(e.steamid) === String(steamid));
+    if (index === -1) throw vaultError('ACCOUNT_NOT_FOUND');
+    const entry = manifest.entries[index];
+    const filename = entry.filename || `${entry.steamid}.maFile`;
+    const deletedAt = new Date();
+    const item = {
+      id: `${entry.steamid}-${deletedAt.getTime()}`,
+      steamid: String(entry.steamid),
+      filename: `${entry.steamid}-${deletedAt.toISOString().replace(/[:.]/g, '-')}.maFile`,
+      deletedAt: deletedAt.toISOString(),
+      entry
+    };
+    // The index is written first so a crash can never leave an archived
+    // maFile that nothing points to.
+    const trash = loadTrashIndex();
+    trash.items.push(item);
+    saveTrashIndex(trash);
+    const source = path.join(DATA_DIR, filename);
+    if (fs.existsSync(source)) {
+      fs.renameSync(source, path.join(TRASH_DIR, item.filename));
+    }
+    manifest.entries.splice(index, 1);
+    saveManifest(manifest);
+    console.log(`[Storage] Moved account ${item.steamid} to trash as ${item.filename}`);
+    return item;
+  });
+}
+
+function listTrash(passkey = getPasskey()) {
+  return loadTrashIndex().items.map(item => {
+    let account_name = null;
+    try {
+      const content = readTrashedMaFileContent(item, passkey);
+      account_name = content ? parseMaFileSafe(content).account_name || null : null;
+    } catch {
+      account_name = null;
+    }
+    return {
+      id: item.id,
+      steamid: item.steamid,
+      account_name,
+      deletedAt: item.deletedAt
+    };
+  });
+}
+
+// The vault may have been encrypted or decrypted since the account was
+// trashed, so the maFile is written again in the vault's current state.
+function restoreAccount(trashId, passkey = getPasskey()) {
+  return withDataLock(() => {
+    const trash = loadTrashIndex();
+    const item = trash.items.find(i => i.id === trashId);
+    if (!item) throw vaultError('TRASH_ITEM_NOT_FOUND');
+    const manifest = loadManifest();
+    if (manifest.entries.some(e => String(e.steamid) === item.steamid)) {
+      throw vaultError('ACCOUNT_EXISTS');
+    }
+    const filename = item.entry.filename || `${item.steamid}.maFile`;
+    const target = path.join(DATA_DIR, filename);
+    if (fs.existsSync(target)) throw vaultError('ACCOUNT_EXISTS');
+    const content = readTrashedMaFileContent(item, passkey);
+    if (content === null) throw vaultError('TRASH_ITEM_NOT_FOUND');
+    const entry = { ...item.entry, filename };
+    if (isManifestEncrypted(manifest)) {
+      if (!passkey) throw vaultError('VAULT_LOCKED');
+      entry.encryption_salt = getRandomSalt();
+      entry.encryption_iv = getInitializationVector();
+      writeFileAtomic(target, encryptData(passkey, entry.encryption_salt, entry.encryption_iv, content));
+    } else {
+      entry.encryption_salt = null;
+      entry.encryption_iv = null;
+      writeFileAtomic(target, content);
+    }
+    manifest.entries.push(entry);
+    saveManifest(manifest);
+    trash.items = trash.items.filter(i => i.id !== trashId);
+    saveTrashIndex(trash);
+    fs.rmSync(path.join(TRASH_DIR, item.filename), { force: true });
+    console.log(`[Storage] Restored account ${item.steamid} from trash`);
+    return item;
+  });
+}
+
+function purgeTrash(olderThanDays, trashId = null) {
+  return withDataLock(() => {
+    const trash = loadTrashIndex();
+    const cutoff = Date.now() - olderThanDays * 24 * 60 * 60 * 1000;
+    const purged = trash.items.filter(item =>
+      trashId ? item.id === trashId : new Date(item.deletedAt).getTime() < cutoff
+    );
+    if (purged.length === 0) return [];
+    trash.items = trash.items.filter(item => !purged.includes(item));
+    saveTrashIndex(trash);
+    for (const item of purged) {
+      fs.rmSync(path.join(TRASH_DIR, item.filename), { force: true });
+      console.log(`[Storage] Purged trashed account ${item.steamid} (${item.deletedAt})`);
+    }
+    return purged.map(item => item.id);
+  });
 }
 
 module.exports = {
+  parseMaFileSafe,
+  normalizeMaFile,
   loadAccounts,
   addAccountFromMaFile,
+  removeAccount,
+  listTrash,
+  restoreAccount,
+  purgeTrash,
   getSessionCookiesForAccount,
   setSessionCookiesForAccount,
   updateSessionLastUsed,
   clearSessionForAccount,
   getManifestSettings,
+  verifyPasskey,
+  changeVaultPasskey,
+  recoverVaultRekey,
+  isVaultEncrypted,
+  isVaultLocked,
   isSessionValid,
+  getSessionStatuses,
+  loadAuthConfig,
+  saveAuthConfig,
+  loadTokenStore,
+  updateTokenStore,
+  loadOtpStore,
+  updateOtpStore,
+  loadPolicyStore,
+  updatePolicyStore,
+  normalizeGroups,
+  getAccountGroups,
+  setAccountGroups,
+  setAutoConfirmFlags,
   isSessionExpired,
   getSessionAge
 };
@@ -0,0 +1,96 @@
+const { getConfig } = require('./config');
+
+const AUTO_LOCK_MINUTES = getConfig().vaultAutoLockMinutes;
+const AUTO_LOCK_MS = AUTO_LOCK_MINUTES > 0 ? AUTO_LOCK_MINUTES * 60 * 1000 : 0;
+
+const MAX_DERIVED_KEYS = 256;
+
+let passkey = null;
+let lastActivityAt = null;
+let lockTimer = null;
+const lockListeners = [];
+// PBKDF2 keys of the unlocked passkey by salt. Deriving one blocks the event
+// loop for tens of milliseconds and every loadAccounts() needs one per maFile.
+const derivedKeys = new Map();
+
+function clearDerivedKeys() {
+  for (const key of derivedKeys.values()) key.fill(0);
+  derivedKeys.clear();
+}
+
+function scheduleAutoLock() {
+  if (lockTimer) {
+    clearTimeout(lockTimer);
+    lockTimer = null;
+  }
+  if (!passkey || !AUTO_LOCK_MS) return;
+  lockTimer = setTimeout(() => {
+    console.log(`[Vault] Locked after ${AUTO_LOCK_MINUTES} minutes of inactivity`);
+    lock();
+  }, AUTO_LOCK_MS);
+  lockTimer.unref();
+}
+
+function getPasskey() {
+  return passkey;
+}
+
+// Only keys of the current passkey are kept; candidates being verified and
+// new passkeys during a rekey are derived every time.
+function getDerivedKey(value, salt, derive) {
+  if (!passkey || String(value) !== passkey) return derive();
+  let key = derivedKeys.get(salt);
+  if (key) {
+    derivedKeys.delete(salt);
+  } else {
+    key = derive();
+    if (derivedKeys.size >= MAX_DERIVED_KEYS) {
+      const oldest = derivedKeys.keys().next().value;
+      derivedKeys.get(oldest).fill(0);
+      derivedKeys.delete(oldest);
+    }
+  }
+  derivedKeys.set(salt, key);
+  return Buffer.from(key);
+}
+
+function unlock(value) {
+  if (!value) throw new Error('Passkey is required');
+  if (passkey !== String(value)) clearDerivedKeys();
+  passkey = String(value);
+  lastActivityAt = Date.now();
+  scheduleAutoLock();
+  console.log('[Vault] Unlocked');
+}
+
+function lock() {
+  passkey = null;
+  clearDerivedKeys();
+  lastActivityAt = null;
+  scheduleAutoLock();
+  lockListeners.forEach(listener => listener());
+}
+
+function onLock(listener) {
+  lockListeners.push(listener);
+}
+
+function touch() {
+  if (!passkey) return;
+  lastActivityAt = Date.now();
+  scheduleAutoLock();
+}
+
+function getVaultState() {
+  return {
+    unlocked: !!passkey,
+    autoLockMinutes: AUTO_LOCK_MS ? AUTO_LOCK_MINUTES : 0,
+    lastActivityAt: lastActivityAt ? new Date(lastActivityAt).toISOString() : null,
+    autoLockAt:
+      passkey && AUTO_LOCK_MS
+        ? new Date(lastActivityAt + AUTO_LOCK_MS).toISOString()
+        : null
+  };
+}
+
+module.exports = { getPasskey, getDerivedKey, unlock, lock, onLock, touch, getVaultState };